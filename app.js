@@ -8,43 +8,194 @@ const state = {
   position: null,
   photos: [],
   logs: [],
-  sessionId: generateSessionId(),
+  sessionId: null,
+  sessions: [],
+  projects: [],
+  templates: [],
+  checklists: [],
+  checklistItemId: null,
+  trackPoints: [],
+  uploads: [],
   settings: {
-    watermarkEnabled: false,
-    coordsOnImage: true,
-    timestampOnImage: true,
     autoSave: true,
     fullResolution: true,
     showLocationDecipher: true,
-    projectName: '',
-    operatorName: ''
+    operatorName: '',
+    activeProjectId: 'default',
+    geocoderProvider: 'nominatim',
+    geocoderUrl: '',
+    geocoderLanguage: '',
+    geocoderMinInterval: 10,
+    notePrompt: true,
+    gpsMaxAccuracy: 50,
+    gpsMaxAge: 30,
+    gpsGateMode: 'warn',
+    siteGateMode: 'warn',
+    gpsAverageSeconds: 0,
+    magneticDeclination: null,
+    stampPreview: true,
+    captureMode: 'single',
+    burstCount: 5,
+    intervalCount: 10,
+    intervalSeconds: 30,
+    timelapseSeconds: 60,
+    trackLogging: false,
+    trackMinDistance: 10,
+    trackMinInterval: 15,
+    trackLowBattery: 20,
+    uploadEnabled: false,
+    uploadUrl: '',
+    uploadToken: ''
   },
   currentPreview: null,
   detailsExpanded: false,
-  locationInfo: null
+  locationInfo: null,
+  address: null,
+  deviceKey: null,
+  gpsLostAt: null,
+  waitingForFix: false,
+  orientation: null,
+  sequence: null,
+  recording: null
 };
 
 // Storage keys
 const PHOTOS_KEY = 'tracecam-photos';
 const LOGS_KEY = 'tracecam-logs';
 const SETTINGS_KEY = 'tracecam-settings';
+const CHAIN_HEAD_KEY = 'tracecam-chain-head';
+const ACTIVE_SESSION_KEY = 'tracecam-active-session';
+
+// Hash chain
+const GENESIS_HASH = '0'.repeat(64);
+const ANNOTATION_FIELDS = ['notes', 'tags', 'category', 'annotatedAt'];
+const PHOTO_UNHASHED_FIELDS = ['imageBlob', 'posterBlob', 'imageHash', 'metadataHash', 'signature', 'keyId', 'resolvedAddress', ...ANNOTATION_FIELDS];
+const LOG_UNHASHED_FIELDS = ['hash', 'resolvedAddress', ...ANNOTATION_FIELDS];
+let logChain = Promise.resolve();
+
+// Projects
+const DEFAULT_PROJECT_ID = 'default';
+const DEFAULT_OVERLAY = { coordsOnImage: true, timestampOnImage: true, compassOnImage: true, watermarkEnabled: false };
+let editingProjectId = null;
+
+// Overlay templates (logo bitmaps cached per template)
+const overlayLogos = new Map();
+let editingTemplateId = null;
+let templateEditorLogo = null;
+
+// Checklist templates (shot list JSON file format; imported IDs must be safe to put in markup)
+const CHECKLIST_FORMAT = 'tracecam-checklist';
+const CHECKLIST_VERSION = 1;
+const CHECKLIST_ID_PATTERN = /^[\w-]+$/;
+let editingChecklistId = null;
+let checklistEditorItems = [];
+
+// GPS averaging (one sample list per capture that is averaging)
+const fixCollectors = new Set();
+
+// Capture modes (screen wake lock held while a sequence or video runs)
+const CAPTURE_MODES = { single: 'Single', burst: 'Burst', interval: 'Interval', timelapse: 'Time-lapse', video: 'Video' };
+let wakeLock = null;
+
+// Breadcrumb track (sampling slows down by this factor on low battery)
+const TRACK_LOW_BATTERY_FACTOR = 3;
+let battery = null;
+let geoWatchId = null;
+let geoWatchKey = '';
+
+// Geofenced sites (walked boundary points at least this far apart, in meters)
+const SITE_WALK_MIN_DISTANCE = 5;
+let siteWalk = null;
+let sitesProjectId = null;
+
+// Upload queue (retry delay doubles from the base up to the cap, in seconds)
+const UPLOAD_SYNC_TAG = 'tracecam-upload';
+const UPLOAD_CONFIG_ID = 'upload-target';
+const UPLOAD_BACKOFF_BASE = 30;
+const UPLOAD_BACKOFF_MAX = 3600;
+const UPLOAD_MAX_ATTEMPTS = 10;
+let uploadTimer = null;
+let uploadRunning = false;
+
+// Backup file format (passphrase-derived key strength for encrypted backups, photos written per restore batch)
+const BACKUP_FORMAT = 'tracecam-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 600000;
+const RESTORE_BATCH_SIZE = 20;
+
+// Inspection report (thumbnail long edge in pixels; PDF pages are A4 in points)
+const REPORT_THUMBNAIL_SIZE = 800;
+const PDF_PAGE_WIDTH = 595.28;
+const PDF_PAGE_HEIGHT = 841.89;
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+let reportProjectId = null;
+
+// Service worker update waiting for the user's go-ahead
+let waitingWorker = null;
+let updateAccepted = false;
+
+// Level indicator (degrees of tilt still shown as level)
+const LEVEL_TOLERANCE = 1.5;
+let levelFrame = null;
+
+// IndexedDB
+const DB_NAME = 'tracecam';
+const DB_VERSION = 9;
+const PHOTOS_STORE = 'photos';
+const LOGS_STORE = 'logs';
+const KEYS_STORE = 'keys';
+const GEOCODE_STORE = 'geocode';
+const PROJECTS_STORE = 'projects';
+const SESSIONS_STORE = 'sessions';
+const TEMPLATES_STORE = 'templates';
+const TRACKS_STORE = 'tracks';
+const UPLOADS_STORE = 'uploads';
+const CHECKLISTS_STORE = 'checklists';
+const DEVICE_KEY_ID = 'device';
+let dbPromise = null;
+let storageReady = Promise.resolve();
+let deviceKeyReady = Promise.resolve();
+const photoUrls = new Map();
+
+// Stand-in thumbnail for clips recorded without a poster frame
+const VIDEO_PLACEHOLDER_URL = `data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 160 120"><rect width="160" height="120" fill="#1e293b"/><path d="M68 42v36l30-18z" fill="#94a3b8"/></svg>')}`;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   loadSettings();
-  loadPhotos();
-  loadLogs();
+  storageReady = initStorage();
+  deviceKeyReady = storageReady.then(initDeviceKey);
+  storageReady.then(backfillAddresses);
+  storageReady.then(checkVerifyLink);
+  storageReady.then(() => {
+    renderUploadStatus();
+    scheduleUploads(0);
+  });
+  window.addEventListener('online', backfillAddresses);
+  window.addEventListener('online', processUploadQueue);
   initCamera();
   initGeolocation();
+  initOrientation();
+  initBattery();
   updateLiveTime();
   setInterval(updateLiveTime, 1000);
   updateDeviceInfo();
   updateSessionId();
+  updateCaptureModeButtons();
+  document.addEventListener('visibilitychange', () => {
+    // The browser drops the wake lock whenever the page is hidden
+    if (document.visibilityState === 'visible' && (state.sequence || state.recording) && !wakeLock) requestWakeLock();
+  });
   
   // Register service worker for PWA
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('sw.js').catch(() => {});
-  }
+  initServiceWorker();
   
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
@@ -53,10 +204,16 @@ document.addEventListener('DOMContentLoaded', () => {
       closeGallery();
       closeSettings();
       closePreview();
+      closeVerify();
+      closeAnnotate();
+      closeProjects();
+      closeSessions();
+      closeMap();
+      closeTemplates();
     }
     if (e.key === ' ' && !e.target.matches('input, textarea')) {
       e.preventDefault();
-      capturePhoto();
+      triggerCapture();
     }
   });
 });
@@ -96,6 +253,8 @@ function updateLiveTime() {
   
   document.getElementById('liveTimeUTC').textContent = 'UTC ' + now.toISOString().replace('T', ' ').substring(0, 19);
   document.getElementById('timezoneBadge').textContent = timezone.split('/').pop().replace('_', ' ');
+  renderOverlayPreview();
+  updateCaptureBanner();
 }
 
 // Initialize camera
@@ -143,6 +302,10 @@ async function initCamera() {
 
 // Switch camera
 async function switchCamera() {
+  if (state.sequence || state.recording) {
+    showToast('Stop capturing before switching camera', 'error');
+    return;
+  }
   state.facingMode = state.facingMode === 'environment' ? 'user' : 'environment';
   await initCamera();
   showToast(`Switched to ${state.facingMode === 'environment' ? 'back' : 'front'} camera`);
@@ -156,22 +319,36 @@ function initGeolocation() {
     return;
   }
   
-  const options = {
-    enableHighAccuracy: true,
-    timeout: 15000,
-    maximumAge: 5000
-  };
-  
-  navigator.geolocation.watchPosition(
-    updatePosition,
-    handleGeoError,
-    options
-  );
+  updateGeoWatch();
+}
+
+// Position watch options: full accuracy while capturing, power saving when idle and track logging on low battery
+function getGeoWatchOptions() {
+  const { minInterval, batterySaver } = getTrackSampling();
+  const capturing = Boolean(state.sequence || state.recording || state.waitingForFix || fixCollectors.size > 0);
+  if (batterySaver && !capturing) {
+    return { enableHighAccuracy: false, timeout: 30000, maximumAge: minInterval * 1000 };
+  }
+  return { enableHighAccuracy: true, timeout: 15000, maximumAge: 5000 };
+}
+
+// Start the position watch, or restart it when its options changed
+function updateGeoWatch() {
+  if (!navigator.geolocation) return;
+  const options = getGeoWatchOptions();
+  const key = JSON.stringify(options);
+  if (geoWatchId !== null && key === geoWatchKey) return;
+
+  if (geoWatchId !== null) navigator.geolocation.clearWatch(geoWatchId);
+  geoWatchKey = key;
+  geoWatchId = navigator.geolocation.watchPosition(updatePosition, handleGeoError, options);
 }
 
 // Update position
 function updatePosition(position) {
   state.position = position;
+  state.gpsLostAt = null;
+  fixCollectors.forEach(samples => samples.push(position));
   
   const { latitude, longitude, accuracy, altitude } = position.coords;
   
@@ -194,6 +371,30 @@ function updatePosition(position) {
   
   // Reverse geocode for address
   reverseGeocode(latitude, longitude);
+
+  // Sample the track of a video being recorded
+  if (state.recording) {
+    addTrackPoint(position);
+  }
+
+  // Breadcrumb track of the active session
+  if (state.settings.trackLogging) {
+    recordTrackFix(position);
+  }
+
+  // On site / off site, and the boundary being walked
+  updateSiteStatus();
+  if (siteWalk) addSiteWalkPoint(position);
+
+  // Fire a pending wait-for-fix capture
+  if (state.waitingForFix) {
+    if (assessFix(position).meetsThreshold) {
+      cancelWaitForFix();
+      capturePhoto();
+    } else {
+      updateFixWaitBanner();
+    }
+  }
 }
 
 // Decipher location - convert to readable format
@@ -297,6 +498,8 @@ function updateLocationDecipherUI() {
 // Handle geolocation error
 function handleGeoError(error) {
   console.error('Geolocation error:', error);
+  state.gpsLostAt = Date.now();
+  if (state.waitingForFix) updateFixWaitBanner();
   
   document.getElementById('gpsStatus').className = 'w-2 h-2 bg-yellow-500 rounded-full';
   document.getElementById('coordsText').textContent = 'Location unavailable';
@@ -321,33 +524,461 @@ function handleGeoError(error) {
   document.getElementById('altitude').textContent = '—';
 }
 
-// Reverse geocode
+// Assess GPS fix quality against the accuracy and age thresholds
+function assessFix(position = state.position, now = Date.now()) {
+  const maxAccuracy = state.settings.gpsMaxAccuracy;
+  const maxAgeSeconds = state.settings.gpsMaxAge;
+  if (!position) {
+    return { accuracy: null, ageSeconds: null, maxAccuracy, maxAgeSeconds, meetsThreshold: false, reason: 'No GPS fix' };
+  }
+
+  const accuracy = position.coords.accuracy ?? null;
+  const ageSeconds = Math.max(0, Math.round((now - position.timestamp) / 100) / 10);
+  let reason = null;
+  if (state.gpsLostAt && state.gpsLostAt >= position.timestamp) reason = 'GPS signal lost';
+  else if (accuracy === null || accuracy > maxAccuracy) reason = `Accuracy ±${Math.round(accuracy ?? 0)} m exceeds ±${maxAccuracy} m`;
+  else if (ageSeconds > maxAgeSeconds) reason = `Fix is ${Math.round(ageSeconds)} s old (max ${maxAgeSeconds} s)`;
+
+  return { accuracy, ageSeconds, maxAccuracy, maxAgeSeconds, meetsThreshold: !reason, reason };
+}
+
+// Collect fixes from the position watch for a few seconds
+function collectFixSamples(seconds) {
+  const samples = [];
+  fixCollectors.add(samples);
+  updateGeoWatch();
+  return new Promise(resolve => setTimeout(() => {
+    fixCollectors.delete(samples);
+    updateGeoWatch();
+    resolve(samples);
+  }, seconds * 1000));
+}
+
+// Average fixes weighted by accuracy (reported accuracy is the best sample's)
+function averagePositions(samples) {
+  const weights = samples.map(p => 1 / Math.max(p.coords.accuracy || 1, 1) ** 2);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const average = key => samples.reduce((sum, p, i) => sum + p.coords[key] * weights[i], 0) / total;
+  const altitudes = samples.map(p => p.coords.altitude).filter(altitude => typeof altitude === 'number');
+  const latest = samples[samples.length - 1];
+
+  return {
+    timestamp: latest.timestamp,
+    coords: {
+      latitude: average('latitude'),
+      longitude: average('longitude'),
+      accuracy: Math.min(...samples.map(p => p.coords.accuracy ?? Infinity)),
+      altitude: altitudes.length ? altitudes.reduce((sum, altitude) => sum + altitude, 0) / altitudes.length : null,
+      heading: latest.coords.heading,
+      speed: latest.coords.speed
+    }
+  };
+}
+
+// Wait for a fix that meets the thresholds, then capture
+function startWaitForFix() {
+  state.waitingForFix = true;
+  updateGeoWatch();
+  updateFixWaitBanner();
+  showToast('Waiting for a good GPS fix - tap capture to cancel');
+}
+
+// Stop waiting for a fix
+function cancelWaitForFix() {
+  state.waitingForFix = false;
+  updateGeoWatch();
+  updateFixWaitBanner();
+}
+
+// Show wait-for-fix progress on the camera view
+function updateFixWaitBanner() {
+  const banner = document.getElementById('fixWaitBanner');
+  banner.classList.toggle('hidden', !state.waitingForFix);
+  if (state.waitingForFix) {
+    document.getElementById('fixWaitText').textContent = `Waiting for fix: ${assessFix().reason || 'ready'}`;
+  }
+}
+
+// Start compass and tilt sensors (iOS needs a permission tap first)
+function initOrientation() {
+  if (!('DeviceOrientationEvent' in window)) return;
+  if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+    document.getElementById('orientationPermissionBtn').classList.remove('hidden');
+    return;
+  }
+  listenOrientation();
+}
+
+// Ask for motion sensor permission (iOS 13+)
+async function requestOrientationPermission() {
+  try {
+    const result = await DeviceOrientationEvent.requestPermission();
+    if (result !== 'granted') {
+      showToast('Compass permission denied', 'error');
+      return;
+    }
+    document.getElementById('orientationPermissionBtn').classList.add('hidden');
+    listenOrientation();
+  } catch (error) {
+    console.error('Orientation permission failed:', error);
+    showToast('Compass unavailable', 'error');
+  }
+}
+
+// Listen to absolute orientation where available, else relative with iOS compass heading
+function listenOrientation() {
+  const absolute = 'ondeviceorientationabsolute' in window;
+  window.addEventListener(absolute ? 'deviceorientationabsolute' : 'deviceorientation', handleOrientation);
+}
+
+// Bearing of the rear camera (degrees clockwise from north) from Euler angles
+function getCameraHeading(alpha, beta, gamma) {
+  const toRad = Math.PI / 180;
+  const [a, b, g] = [alpha * toRad, beta * toRad, gamma * toRad];
+  const vx = -Math.cos(a) * Math.sin(g) - Math.sin(a) * Math.sin(b) * Math.cos(g);
+  const vy = -Math.sin(a) * Math.sin(g) + Math.cos(a) * Math.sin(b) * Math.cos(g);
+  return normalizeDegrees(Math.atan2(vx, vy) / toRad);
+}
+
+// Wrap an angle into 0-360
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+// Store heading, pitch and roll from an orientation event
+function handleOrientation(event) {
+  if (event.beta === null || event.gamma === null) return;
+
+  const toRad = Math.PI / 180;
+  const beta = event.beta * toRad;
+  const gamma = event.gamma * toRad;
+  const screenAngle = screen.orientation?.angle ?? window.orientation ?? 0;
+
+  // Camera elevation and horizon tilt from the gravity direction
+  const pitch = Math.asin(Math.max(-1, Math.min(1, -Math.cos(gamma) * Math.cos(beta)))) / toRad;
+  let roll = Math.atan2(Math.sin(gamma) * Math.cos(beta), Math.sin(beta)) / toRad + screenAngle;
+  roll = normalizeDegrees(roll + 180) - 180;
+
+  let magneticHeading = null;
+  let source = null;
+  if (typeof event.webkitCompassHeading === 'number' && event.webkitCompassHeading >= 0) {
+    magneticHeading = event.webkitCompassHeading;
+    source = 'webkitCompassHeading';
+  } else if ((event.absolute || event.type === 'deviceorientationabsolute') && event.alpha !== null) {
+    magneticHeading = getCameraHeading(event.alpha, event.beta, event.gamma);
+    source = event.type;
+  }
+
+  const declination = state.settings.magneticDeclination;
+  state.orientation = {
+    magneticHeading: magneticHeading === null ? null : Math.round(magneticHeading * 10) / 10,
+    trueHeading: magneticHeading === null || typeof declination !== 'number' ? null : Math.round(normalizeDegrees(magneticHeading + declination) * 10) / 10,
+    declination: typeof declination === 'number' ? declination : null,
+    pitch: Math.round(pitch * 10) / 10,
+    roll: Math.round(roll * 10) / 10,
+    compassAccuracy: typeof event.webkitCompassAccuracy === 'number' ? event.webkitCompassAccuracy : null,
+    source,
+    timestamp: Date.now()
+  };
+
+  if (!levelFrame) levelFrame = requestAnimationFrame(updateLevelIndicator);
+}
+
+// Update the live level indicator on the camera view
+function updateLevelIndicator() {
+  levelFrame = null;
+  const orientation = state.orientation;
+  const level = document.getElementById('levelIndicator');
+  if (!orientation) return;
+
+  const isLevel = Math.abs(orientation.roll) <= LEVEL_TOLERANCE && Math.abs(orientation.pitch) <= LEVEL_TOLERANCE;
+  level.classList.remove('hidden');
+  document.getElementById('levelLine').style.transform = `rotate(${-orientation.roll}deg) translateY(${Math.max(-40, Math.min(40, orientation.pitch * 2))}px)`;
+  document.getElementById('levelLine').className = `h-0.5 w-32 rounded-full transition-colors ${isLevel ? 'bg-emerald-400' : 'bg-white/80'}`;
+  document.getElementById('levelText').textContent = `${formatBearing(orientation)} • pitch ${orientation.pitch.toFixed(1)}° • roll ${orientation.roll.toFixed(1)}°`;
+}
+
+// Format bearing as true (and magnetic) degrees
+function formatBearing(orientation) {
+  if (!orientation || orientation.magneticHeading === null) return 'No compass';
+  const magnetic = `${Math.round(orientation.magneticHeading)}° M`;
+  return orientation.trueHeading === null ? magnetic : `${Math.round(orientation.trueHeading)}° T (${magnetic})`;
+}
+
+// Draw a compass rose with the camera bearing pointing up
+function drawCompassRose(ctx, cx, cy, radius, heading, scale) {
+  ctx.save();
+  ctx.translate(cx, cy);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.lineWidth = 2 * scale;
+  ctx.beginPath();
+  ctx.arc(0, 0, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  // Cardinal points rotate against the bearing
+  ctx.rotate(-heading * Math.PI / 180);
+  ctx.font = `bold ${radius * 0.35}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ['N', 'E', 'S', 'W'].forEach((label, i) => {
+    ctx.fillStyle = label === 'N' ? '#f87171' : 'white';
+    ctx.fillText(label, 0, -radius * 0.7);
+    ctx.rotate(Math.PI / 2);
+  });
+  ctx.rotate(heading * Math.PI / 180);
+
+  // Camera direction arrow
+  ctx.fillStyle = '#34d399';
+  ctx.beginPath();
+  ctx.moveTo(0, -radius * 0.45);
+  ctx.lineTo(radius * 0.15, radius * 0.2);
+  ctx.lineTo(-radius * 0.15, radius * 0.2);
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.restore();
+}
+
+// Reverse geocoder providers
+const GEOCODER_PROVIDERS = {
+  nominatim: {
+    label: 'Nominatim',
+    defaultUrl: 'https://nominatim.openstreetmap.org',
+    buildUrl: (base, lat, lng, lang) =>
+      `${base}/reverse?format=json&lat=${lat}&lon=${lng}&zoom=16&addressdetails=1&accept-language=${encodeURIComponent(lang)}`,
+    parseAddress: (data) => data.display_name || null
+  },
+  photon: {
+    label: 'Photon',
+    defaultUrl: 'https://photon.komoot.io',
+    buildUrl: (base, lat, lng, lang) =>
+      `${base}/reverse?lat=${lat}&lon=${lng}&lang=${encodeURIComponent(lang.split('-')[0])}`,
+    parseAddress: (data) => {
+      const props = data.features?.[0]?.properties;
+      if (!props) return null;
+      const parts = [
+        props.name,
+        [props.housenumber, props.street].filter(Boolean).join(' '),
+        props.district,
+        props.city,
+        props.postcode,
+        props.state,
+        props.country
+      ].filter(Boolean);
+      return [...new Set(parts)].join(', ') || null;
+    }
+  }
+};
+
+// Placeholder texts that mean no address was resolved at capture
+const ADDRESS_PLACEHOLDERS = ['', 'Fetching...', 'Address unavailable', 'Address unavailable (offline)', 'Address lookup disabled'];
+const GEOCODE_CELL_DECIMALS = 3;
 let geocodeTimeout = null;
+let geocodeQueue = Promise.resolve();
+let lastGeocodeRequestAt = 0;
+let liveGeocodeCell = null;
+let backfillRunning = false;
+
+// Get the active geocoder provider (null when disabled)
+function getGeocoder() {
+  return GEOCODER_PROVIDERS[state.settings.geocoderProvider] || null;
+}
+
+// Rounded coordinate cell used as the cache key
+function getGeocodeCell(lat, lng) {
+  return `${lat.toFixed(GEOCODE_CELL_DECIMALS)},${lng.toFixed(GEOCODE_CELL_DECIMALS)}`;
+}
+
+// Wait until the minimum interval since the last request has passed
+async function waitForGeocodeSlot() {
+  const minInterval = Math.max(1, state.settings.geocoderMinInterval || 1) * 1000;
+  const wait = lastGeocodeRequestAt + minInterval - Date.now();
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  lastGeocodeRequestAt = Date.now();
+}
+
+// Fetch an address from the configured provider
+async function fetchAddress(lat, lng) {
+  const provider = getGeocoder();
+  const base = (state.settings.geocoderUrl || provider.defaultUrl).replace(/\/+$/, '');
+  const lang = state.settings.geocoderLanguage || navigator.language || 'en';
+
+  await waitForGeocodeSlot();
+  const response = await fetch(provider.buildUrl(base, lat, lng, lang));
+  if (!response.ok) {
+    throw new Error(`Geocoder returned ${response.status}`);
+  }
+  return provider.parseAddress(await response.json());
+}
+
+// Look up an address: cached cell first, then the rate-limited provider
+async function lookupAddress(lat, lng, isStale = () => false) {
+  const cell = getGeocodeCell(lat, lng);
+  const cached = await dbGet(GEOCODE_STORE, cell).catch(() => null);
+  if (cached) return cached.address;
+
+  if (!getGeocoder() || !navigator.onLine) return null;
+
+  const lookup = geocodeQueue.then(async () => {
+    if (isStale()) return null;
+
+    // An earlier queued lookup may have filled this cell
+    const filled = await dbGet(GEOCODE_STORE, cell).catch(() => null);
+    if (filled) return filled.address;
+
+    const address = await fetchAddress(lat, lng);
+    if (address) {
+      await dbPut(GEOCODE_STORE, {
+        cell,
+        address,
+        provider: state.settings.geocoderProvider,
+        fetchedAt: new Date().toISOString()
+      }).catch(error => console.error('Failed to cache address:', error));
+    }
+    return address;
+  });
+  geocodeQueue = lookup.catch(() => {});
+  return lookup;
+}
+
+// Reverse geocode the live position
 function reverseGeocode(lat, lng) {
   clearTimeout(geocodeTimeout);
   geocodeTimeout = setTimeout(async () => {
+    const cell = getGeocodeCell(lat, lng);
+    if (cell === liveGeocodeCell) return;
+    liveGeocodeCell = cell;
+
+    const addressEl = document.getElementById('address');
     try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=16&addressdetails=1`,
-        { headers: { 'Accept-Language': 'en' } }
-      );
-      const data = await response.json();
-      
-      if (data.display_name) {
-        document.getElementById('address').textContent = data.display_name;
+      const address = await lookupAddress(lat, lng, () => cell !== liveGeocodeCell);
+      if (cell !== liveGeocodeCell) return;
+
+      if (address) {
+        state.address = { cell, text: address };
+        addressEl.textContent = address;
+        return;
       }
+
+      liveGeocodeCell = null;
+      state.address = null;
+      addressEl.textContent = !getGeocoder()
+        ? 'Address lookup disabled'
+        : (navigator.onLine ? 'Address unavailable' : 'Address unavailable (offline)');
     } catch (error) {
-      document.getElementById('address').textContent = 'Address unavailable';
+      console.error('Reverse geocode failed:', error);
+      liveGeocodeCell = null;
+      state.address = null;
+      addressEl.textContent = 'Address unavailable';
     }
   }, 1000);
 }
 
-// Capture photo
-async function capturePhoto() {
+// Address resolved for the current position, if any
+function getCurrentAddress() {
+  if (!state.position || !state.address) return '';
+  const { latitude, longitude } = state.position.coords;
+  return state.address.cell === getGeocodeCell(latitude, longitude) ? state.address.text : '';
+}
+
+// Check whether a log entry still needs an address
+function needsAddressBackfill(log) {
+  return typeof log.latitude === 'number' &&
+    !log.resolvedAddress &&
+    ADDRESS_PLACEHOLDERS.includes(log.address || '');
+}
+
+// Back-fill addresses for captures taken without one
+async function backfillAddresses() {
+  if (backfillRunning || !getGeocoder() || !navigator.onLine) return;
+  backfillRunning = true;
+
+  let filled = 0;
+  try {
+    await storageReady;
+    for (const log of state.logs.filter(needsAddressBackfill)) {
+      if (!navigator.onLine) break;
+
+      const address = await lookupAddress(log.latitude, log.longitude);
+      if (!address) continue;
+
+      // Stored beside the captured address so hashed fields stay untouched
+      log.resolvedAddress = address;
+      await saveLog(log);
+
+      const photo = state.photos.find(p => p.id === log.id);
+      if (photo) {
+        photo.resolvedAddress = address;
+        await savePhoto(photo);
+      }
+      filled++;
+    }
+  } catch (error) {
+    console.error('Address back-fill failed:', error);
+  } finally {
+    backfillRunning = false;
+  }
+
+  if (filled) {
+    showToast(`Resolved ${filled} missing address${filled > 1 ? 'es' : ''}`, 'success');
+  }
+}
+
+// Get display address for a photo or log entry
+function getRecordAddress(record) {
+  if (!ADDRESS_PLACEHOLDERS.includes(record.address || '')) return record.address;
+  return record.resolvedAddress || '';
+}
+
+// Capture photo (sequence frames carry their sequence ID, mode and index)
+async function capturePhoto(sequenceFrame = null) {
   if (!state.stream) {
     showToast('Camera not ready', 'error');
     return;
   }
+
+  // Tapping capture again cancels wait-for-fix
+  if (state.waitingForFix) {
+    cancelWaitForFix();
+    showToast('Stopped waiting for GPS fix');
+    return;
+  }
+
+  // Gate on GPS fix quality
+  let position = state.position;
+  let fix = assessFix(position);
+  const gateMode = state.settings.gpsGateMode;
+  if (gateMode !== 'off' && !fix.meetsThreshold) {
+    // Sequences keep their timing, so a frame is skipped instead of waiting
+    if (gateMode === 'block' || (gateMode === 'wait' && sequenceFrame)) {
+      showToast(`Capture blocked: ${fix.reason}`, 'error');
+      return;
+    }
+    if (gateMode === 'wait') {
+      startWaitForFix();
+      return;
+    }
+    showToast(`Low GPS quality: ${fix.reason}`, 'error');
+  }
+
+  // Optionally average several fixes
+  const averageSeconds = state.settings.gpsAverageSeconds;
+  if (averageSeconds > 0 && position && sequenceFrame?.mode !== 'burst') {
+    showToast(`Hold still - averaging GPS for ${averageSeconds}s...`);
+    const samples = await collectFixSamples(averageSeconds);
+    if (samples.length > 0) {
+      position = averagePositions(samples);
+      fix = { ...assessFix(position), averagedSamples: samples.length, averagedSeconds: averageSeconds };
+    }
+  }
+
+  // Gate on the final position, the one the record is tagged with
+  if (!passesSiteGate(position)) return;
   
   const video = document.getElementById('videoElement');
   const canvas = document.getElementById('captureCanvas');
@@ -366,10 +997,21 @@ async function capturePhoto() {
   // Draw video frame at full resolution
   ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
   
-  // Add overlay if enabled
-  if (state.settings.timestampOnImage || state.settings.coordsOnImage) {
-    addMetadataOverlay(ctx, canvas.width, canvas.height);
-  }
+  // Stamp the project's overlay template
+  await storageReady;
+  const project = getActiveProject();
+  const session = await ensureActiveSession();
+  const template = getProjectTemplate(project);
+  const capturedAt = new Date();
+  const photoId = generatePhotoId();
+  const stampNote = document.getElementById('stampNote').value.trim();
+  const captureHash = template.qrCode ? await hashCaptureStamp({
+    id: photoId,
+    timestamp: capturedAt.toISOString(),
+    latitude: position?.coords.latitude,
+    longitude: position?.coords.longitude
+  }) : undefined;
+  addMetadataOverlay(ctx, canvas.width, canvas.height, template, getOverlayData({ date: capturedAt, position, photoId, notes: stampNote, captureHash }));
   
   // Flash effect
   const flash = document.getElementById('flashOverlay');
@@ -382,51 +1024,45 @@ async function capturePhoto() {
   
   // Get image data at full quality
   const quality = state.settings.fullResolution ? 1.0 : 0.85;
-  const imageData = canvas.toDataURL('image/jpeg', quality);
-  
-  // Calculate file size
-  const fileSizeKB = Math.round((imageData.length * 3) / 4 / 1024);
-  
+
   // Create photo record
   const photo = {
-    id: generatePhotoId(),
-    sessionId: state.sessionId,
-    imageData,
+    ...buildCaptureRecord({ id: photoId, capturedAt, position, fix, session, project }),
+    imageBlob: null,
     imageWidth: canvas.width,
     imageHeight: canvas.height,
-    fileSizeKB,
+    fileSizeKB: 0,
     quality: quality === 1.0 ? 'Full' : 'High',
-    timestamp: new Date().toISOString(),
-    timestampLocal: new Date().toLocaleString(),
-    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    location: state.position ? {
-      latitude: state.position.coords.latitude,
-      longitude: state.position.coords.longitude,
-      accuracy: state.position.coords.accuracy,
-      altitude: state.position.coords.altitude,
-      heading: state.position.coords.heading,
-      speed: state.position.coords.speed,
-      dms: state.locationInfo?.dms || null
-    } : null,
-    address: document.getElementById('address').textContent,
-    locationDecipher: state.locationInfo ? {
-      hemisphere: state.locationInfo.hemisphere,
-      locationType: state.locationInfo.locationType,
-      seasonHint: state.locationInfo.seasonHint,
-      mapUrl: state.locationInfo.mapUrl
-    } : null,
-    device: getDeviceInfo(),
-    settings: { ...state.settings },
-    projectName: state.settings.projectName,
-    operatorName: state.settings.operatorName
+    overlayTemplateId: template.id,
+    captureHash,
+    sequence: sequenceFrame || undefined,
+    notes: stampNote || undefined
   };
-  
+
+  // Embed EXIF/XMP metadata into the JPEG
+  const rawBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+  const jpegBytes = embedMetadata(new Uint8Array(await rawBlob.arrayBuffer()), photo);
+  photo.imageBlob = new Blob([jpegBytes], { type: 'image/jpeg' });
+  photo.fileSizeKB = Math.round(jpegBytes.length / 1024);
+
+  // Hash image bytes and capture metadata
+  photo.imageHash = await sha256Hex(jpegBytes);
+  photo.metadataHash = await hashPhotoMetadata(photo);
+
+  // Sign digests with the device key
+  try {
+    await signCapture(photo);
+  } catch (error) {
+    console.error('Failed to sign capture:', error);
+  }
+
   // Save photo
   state.photos.unshift(photo);
-  savePhotos();
+  await savePhoto(photo);
   
   // Add log entry
-  addLog(photo);
+  await addLog(photo);
+  queueUpload(photo);
   
   // Update UI
   updatePhotoCount();
@@ -434,604 +1070,6941 @@ async function capturePhoto() {
   // Show resolution in toast
   const resInfo = `${canvas.width}×${canvas.height}`;
   
-  // Auto-save to device if enabled
-  if (state.settings.autoSave) {
+  // Auto-save to device if enabled (not sequence frames: they run without a tap to allow a save)
+  if (!sequenceFrame && state.settings.autoSave) {
     saveToDevice(photo);
-  } else {
+  } else if (!sequenceFrame) {
     showToast(`Photo captured! 📸 (${resInfo})`, 'success');
   }
+
+  // Offer quick note and tags
+  if (state.settings.notePrompt && !sequenceFrame) {
+    showAnnotate(photo.id);
+  }
   
   // Vibrate if available
   if (navigator.vibrate) {
     navigator.vibrate([50, 30, 50]);
   }
+
+  return photo;
 }
 
-// Add metadata overlay to image
-function addMetadataOverlay(ctx, width, height) {
-  const scale = height / 1080;
-  const padding = 20 * scale;
-  const fontSize = Math.max(14, 18 * scale);
-  const lineHeight = fontSize * 1.6;
-  
-  // Semi-transparent background at bottom
-  const bgHeight = lineHeight * 4;
-  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-  ctx.fillRect(0, height - bgHeight, width, bgHeight);
-  
-  // Text settings
-  ctx.font = `${fontSize}px monospace`;
-  ctx.fillStyle = 'white';
-  ctx.textBaseline = 'bottom';
-  
-  let y = height - padding;
-  
-  // Timestamp
-  if (state.settings.timestampOnImage) {
-    const now = new Date();
-    ctx.fillText(
-      `📅 ${now.toLocaleString()} (${Intl.DateTimeFormat().resolvedOptions().timeZone})`,
-      padding,
-      y
-    );
-    y -= lineHeight;
-    ctx.fillText(
-      `UTC: ${now.toISOString()}`,
-      padding,
-      y
-    );
-    y -= lineHeight;
-  }
-  
-  // Coordinates
-  if (state.settings.coordsOnImage && state.position) {
-    const { latitude, longitude, accuracy } = state.position.coords;
-    ctx.fillText(
-      `📍 ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy?.toFixed(0) || '?'}m)`,
-      padding,
-      y
-    );
+// Build the fields shared by photo and video records
+function buildCaptureRecord({ id, capturedAt, position, fix, session, project }) {
+  return {
+    id,
+    sessionId: session.id,
+    sessionName: session.name,
+    timestamp: capturedAt.toISOString(),
+    timestampLocal: capturedAt.toLocaleString(),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    utcOffset: formatExifOffset(capturedAt),
+    location: position ? {
+      latitude: position.coords.latitude,
+      longitude: position.coords.longitude,
+      accuracy: position.coords.accuracy,
+      altitude: position.coords.altitude,
+      heading: position.coords.heading,
+      speed: position.coords.speed,
+      dms: decimalToDMS(position.coords.latitude, position.coords.longitude)
+    } : null,
+    fix: { ...fix, mode: state.settings.gpsGateMode },
+    orientation: state.orientation ? {
+      ...omitFields(state.orientation, ['timestamp']),
+      ageSeconds: Math.round((capturedAt - state.orientation.timestamp) / 100) / 10
+    } : null,
+    address: getCurrentAddress(),
+    locationDecipher: state.locationInfo ? {
+      hemisphere: state.locationInfo.hemisphere,
+      locationType: state.locationInfo.locationType,
+      seasonHint: state.locationInfo.seasonHint,
+      mapUrl: state.locationInfo.mapUrl
+    } : null,
+    device: getDeviceInfo(),
+    settings: { ...state.settings },
+    projectId: project.id,
+    projectName: project.name,
+    clientName: project.client,
+    operatorName: getOperatorName(project),
+    ...getSiteFields(position, project),
+    checklistItem: getCaptureChecklistItem(project)
+  };
+}
+
+// Capture button and spacebar: single shot, or start/stop a sequence or video
+function triggerCapture() {
+  const mode = state.settings.captureMode;
+  if (state.sequence || state.recording) {
+    stopCapture();
+  } else if (mode === 'video') {
+    startVideoRecording();
+  } else if (mode in CAPTURE_MODES && mode !== 'single') {
+    startSequence(mode);
+  } else {
+    capturePhoto();
   }
-  
-  // Watermark - BIG and PROMINENT
-  if (state.settings.watermarkEnabled) {
-    const watermarkFontSize = fontSize * 2.5;
-    const watermarkPadding = padding * 1.5;
-    
-    // Draw watermark background bar at top
-    const watermarkBarHeight = watermarkFontSize * 1.8;
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, width, watermarkBarHeight);
-    
-    // Draw main watermark text
-    ctx.font = `bold ${watermarkFontSize}px sans-serif`;
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText('📍 TraceCam', width / 2, watermarkBarHeight / 2);
-    
-    // Add subtle line under watermark
-    ctx.strokeStyle = 'rgba(16, 185, 129, 0.8)';
-    ctx.lineWidth = 3 * scale;
-    ctx.beginPath();
-    ctx.moveTo(width * 0.3, watermarkBarHeight - 5);
-    ctx.lineTo(width * 0.7, watermarkBarHeight - 5);
-    ctx.stroke();
-    
-    // Reset text settings
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'bottom';
+}
+
+// Stop the running sequence or video
+function stopCapture() {
+  if (state.recording) {
+    stopVideoRecording();
+  } else {
+    stopSequence();
   }
 }
 
-// Generate photo ID
-function generatePhotoId() {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 5).toUpperCase();
-  return `IMG-${timestamp}-${random}`;
+// Select the capture mode
+function setCaptureMode(mode) {
+  if (state.sequence || state.recording || !(mode in CAPTURE_MODES)) return;
+  state.settings.captureMode = mode;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  updateCaptureModeButtons();
 }
 
-// Get device info
-function getDeviceInfo() {
-  const ua = navigator.userAgent;
-  let device = 'Unknown';
-  
-  if (/iPhone/.test(ua)) device = 'iPhone';
-  else if (/iPad/.test(ua)) device = 'iPad';
-  else if (/Android/.test(ua)) {
-    const match = ua.match(/Android\s+([\d.]+)/);
-    device = match ? `Android ${match[1]}` : 'Android';
-  }
-  else if (/Windows/.test(ua)) device = 'Windows';
-  else if (/Mac/.test(ua)) device = 'Mac';
-  else if (/Linux/.test(ua)) device = 'Linux';
-  
-  return device;
+// Describe what the current capture mode will do
+function describeCaptureMode(mode) {
+  const settings = state.settings;
+  if (mode === 'burst') return `${settings.burstCount} frames back to back`;
+  if (mode === 'interval') return `${settings.intervalCount} photos, one every ${formatCountdown(settings.intervalSeconds)}`;
+  if (mode === 'timelapse') return `One photo every ${formatCountdown(settings.timelapseSeconds)} until stopped`;
+  if (mode === 'video') return 'Records until stopped, with a GPS track and subtitles';
+  return '';
 }
 
-// Update device info display
-function updateDeviceInfo() {
-  document.getElementById('deviceInfo').textContent = getDeviceInfo();
+// Highlight the selected capture mode
+function updateCaptureModeButtons() {
+  const mode = state.settings.captureMode in CAPTURE_MODES ? state.settings.captureMode : 'single';
+  document.querySelectorAll('[data-capture-mode]').forEach(button => {
+    const selected = button.dataset.captureMode === mode;
+    button.classList.toggle('bg-emerald-600', selected);
+    button.classList.toggle('text-white', selected);
+    button.classList.toggle('bg-slate-800/80', !selected);
+    button.classList.toggle('text-slate-400', !selected);
+  });
+  const hint = document.getElementById('captureModeHint');
+  hint.textContent = describeCaptureMode(mode);
+  hint.classList.toggle('hidden', mode === 'single' || Boolean(state.sequence || state.recording));
 }
 
-// Update session ID display
-function updateSessionId() {
-  document.getElementById('sessionId').textContent = state.sessionId;
+// Generate capture sequence ID
+function generateSequenceId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+  return `SEQ-${timestamp}-${random}`;
 }
 
-// Toggle details panel
-function toggleDetails() {
-  state.detailsExpanded = !state.detailsExpanded;
-  const panel = document.getElementById('detailsPanel');
-  const arrow = document.getElementById('detailsArrow');
-  
-  if (state.detailsExpanded) {
-    panel.classList.remove('hidden');
-    arrow.style.transform = 'rotate(180deg)';
-  } else {
-    panel.classList.add('hidden');
-    arrow.style.transform = 'rotate(0)';
+// Start a burst, interval or time-lapse sequence
+async function startSequence(mode) {
+  if (!state.stream) {
+    showToast('Camera not ready', 'error');
+    return;
   }
-}
 
-// Add log entry
-function addLog(photo) {
-  const log = {
-    id: photo.id,
-    timestamp: photo.timestamp,
-    timestampLocal: photo.timestampLocal,
-    timezone: photo.timezone,
-    latitude: photo.location?.latitude,
-    longitude: photo.location?.longitude,
-    accuracy: photo.location?.accuracy,
-    altitude: photo.location?.altitude,
-    address: photo.address,
-    sessionId: photo.sessionId,
-    projectName: photo.projectName,
-    operatorName: photo.operatorName
+  const settings = state.settings;
+  const sequence = {
+    id: generateSequenceId(),
+    mode,
+    total: mode === 'burst' ? settings.burstCount : (mode === 'interval' ? settings.intervalCount : null),
+    intervalMs: mode === 'burst' ? 0 : (mode === 'interval' ? settings.intervalSeconds : settings.timelapseSeconds) * 1000,
+    startedAt: Date.now(),
+    nextAt: Date.now(),
+    frames: 0,
+    captured: 0,
+    failed: 0,
+    capturing: false,
+    timer: null
   };
-  
-  state.logs.unshift(log);
-  saveLogs();
-  updateLogCount();
+  state.sequence = sequence;
+  updateGeoWatch();
+  updateCaptureModeButtons();
+  await requestWakeLock();
+  runSequenceFrame(sequence);
 }
 
-// Save photos to localStorage
-function savePhotos() {
+// Take one sequence frame and schedule the next
+async function runSequenceFrame(sequence) {
+  if (state.sequence !== sequence) return;
+
+  sequence.frames++;
+  sequence.capturing = true;
+  updateCaptureBanner();
   try {
-    const photosToSave = state.photos.slice(0, 50);
-    localStorage.setItem(PHOTOS_KEY, JSON.stringify(photosToSave));
+    const photo = await capturePhoto({ id: sequence.id, mode: sequence.mode, index: sequence.frames, total: sequence.total });
+    if (photo) sequence.captured++;
   } catch (error) {
-    console.error('Failed to save photos:', error);
-    // If quota exceeded, remove oldest photos
-    if (error.name === 'QuotaExceededError') {
-      state.photos = state.photos.slice(0, 20);
-      localStorage.setItem(PHOTOS_KEY, JSON.stringify(state.photos));
-    }
+    sequence.failed++;
+    console.error('Sequence frame failed:', error);
+    showToast(`Frame ${sequence.frames} failed: ${error.message}`, 'error');
+  } finally {
+    sequence.capturing = false;
   }
-}
 
-// Load photos from localStorage
-function loadPhotos() {
-  try {
-    const saved = localStorage.getItem(PHOTOS_KEY);
-    if (saved) {
-      state.photos = JSON.parse(saved);
-      updatePhotoCount();
-    }
-  } catch (error) {
-    console.error('Failed to load photos:', error);
+  if (state.sequence !== sequence) return;
+  if (sequence.total && sequence.frames >= sequence.total) {
+    stopSequence();
+    return;
   }
+
+  // Keep to the original schedule; a slow frame shortens the next wait
+  sequence.nextAt = Math.max(Date.now(), sequence.startedAt + sequence.frames * sequence.intervalMs);
+  sequence.timer = setTimeout(() => runSequenceFrame(sequence), sequence.nextAt - Date.now());
+  updateCaptureBanner();
 }
 
-// Save logs to localStorage
-function saveLogs() {
-  try {
-    localStorage.setItem(LOGS_KEY, JSON.stringify(state.logs));
-  } catch (error) {
-    console.error('Failed to save logs:', error);
+// Stop the running sequence
+function stopSequence() {
+  const sequence = state.sequence;
+  if (!sequence) return;
+
+  clearTimeout(sequence.timer);
+  state.sequence = null;
+  updateGeoWatch();
+  releaseWakeLock();
+  updateCaptureBanner();
+  updateCaptureModeButtons();
+  const failed = sequence.failed ? `, ${sequence.failed} failed` : '';
+  showToast(`${CAPTURE_MODES[sequence.mode]} finished: ${sequence.captured} photo${sequence.captured === 1 ? '' : 's'}${failed}`, sequence.failed ? 'error' : 'success');
+}
+
+// Format seconds as 45s or 2:05
+function formatCountdown(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Format a sequence frame as 3/10 (or 3 for time-lapse)
+function formatSequenceFrame(sequence) {
+  return sequence.total ? `${sequence.index}/${sequence.total}` : String(sequence.index);
+}
+
+// Show sequence countdown or recording time, and the stop state of the capture button
+function updateCaptureBanner() {
+  const { sequence, recording } = state;
+  const active = Boolean(sequence || recording);
+  document.getElementById('captureBanner').classList.toggle('hidden', !active);
+  document.getElementById('captureIcon').classList.toggle('hidden', active);
+  document.getElementById('captureStopIcon').classList.toggle('hidden', !active);
+
+  if (recording) {
+    const elapsed = Math.floor((Date.now() - recording.startedAt) / 1000);
+    document.getElementById('captureBannerText').textContent = `REC ${formatCountdown(elapsed)}`;
+    document.getElementById('captureBannerStatus').textContent = `${recording.track.length} GPS point${recording.track.length === 1 ? '' : 's'}`;
+  } else if (sequence) {
+    const progress = sequence.total ? `${sequence.frames}/${sequence.total}` : `${sequence.captured} taken`;
+    document.getElementById('captureBannerText').textContent = `${CAPTURE_MODES[sequence.mode]} • ${progress}`;
+    document.getElementById('captureBannerStatus').textContent = sequence.capturing
+      ? 'Capturing…'
+      : `Next in ${formatCountdown(Math.max(0, Math.ceil((sequence.nextAt - Date.now()) / 1000)))}`;
   }
 }
 
-// Load logs from localStorage
-function loadLogs() {
+// Keep the screen on while a sequence or video runs
+async function requestWakeLock() {
+  if (!('wakeLock' in navigator)) return;
   try {
-    const saved = localStorage.getItem(LOGS_KEY);
-    if (saved) {
-      state.logs = JSON.parse(saved);
-      updateLogCount();
-    }
+    wakeLock = await navigator.wakeLock.request('screen');
+    wakeLock.addEventListener('release', () => {
+      wakeLock = null;
+    });
   } catch (error) {
-    console.error('Failed to load logs:', error);
+    console.error('Screen wake lock unavailable:', error);
+    showToast('Could not keep the screen on - keep it awake manually', 'error');
   }
 }
 
-// Save settings
-function saveSettings() {
-  state.settings = {
-    watermarkEnabled: document.getElementById('watermarkEnabled').checked,
-    coordsOnImage: document.getElementById('coordsOnImage').checked,
-    timestampOnImage: document.getElementById('timestampOnImage').checked,
-    autoSave: document.getElementById('autoSave').checked,
-    fullResolution: document.getElementById('fullResolution')?.checked ?? true,
-    showLocationDecipher: document.getElementById('showLocationDecipher')?.checked ?? true,
-    projectName: document.getElementById('projectName').value.trim(),
-    operatorName: document.getElementById('operatorName').value.trim()
-  };
-  
-  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
-  showToast('Settings saved', 'success');
-  closeSettings();
+// Let the screen sleep again
+function releaseWakeLock() {
+  if (!wakeLock) return;
+  wakeLock.release().catch(() => {});
+  wakeLock = null;
 }
 
-// Load settings
-function loadSettings() {
-  try {
-    const saved = localStorage.getItem(SETTINGS_KEY);
-    if (saved) {
-      state.settings = { ...state.settings, ...JSON.parse(saved) };
+// Video container formats, most compatible first
+const VIDEO_MIME_TYPES = ['video/mp4;codecs=avc1', 'video/mp4', 'video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Start recording a geotagged video clip
+async function startVideoRecording() {
+  if (!state.stream) {
+    showToast('Camera not ready', 'error');
+    return;
+  }
+  if (!('MediaRecorder' in window)) {
+    showToast('Video recording is not supported in this browser', 'error');
+    return;
+  }
+
+  // Same GPS gate as photos; there is nothing to wait for once recording
+  const fix = assessFix(state.position);
+  const gateMode = state.settings.gpsGateMode;
+  if (gateMode !== 'off' && !fix.meetsThreshold) {
+    if (gateMode === 'block') {
+      showToast(`Recording blocked: ${fix.reason}`, 'error');
+      return;
     }
-    
-    document.getElementById('watermarkEnabled').checked = state.settings.watermarkEnabled;
-    document.getElementById('coordsOnImage').checked = state.settings.coordsOnImage;
-    document.getElementById('timestampOnImage').checked = state.settings.timestampOnImage;
-    document.getElementById('autoSave').checked = state.settings.autoSave ?? true;
-    const fullResEl = document.getElementById('fullResolution');
-    if (fullResEl) fullResEl.checked = state.settings.fullResolution ?? true;
-    const locDecEl = document.getElementById('showLocationDecipher');
-    if (locDecEl) locDecEl.checked = state.settings.showLocationDecipher ?? true;
-    document.getElementById('projectName').value = state.settings.projectName || '';
-    document.getElementById('operatorName').value = state.settings.operatorName || '';
+    showToast(`Low GPS quality: ${fix.reason}`, 'error');
+  }
+  if (!passesSiteGate(state.position, 'Recording')) return;
+
+  await storageReady;
+  const project = getActiveProject();
+  const session = await ensureActiveSession();
+  const startedAt = new Date();
+  const video = document.getElementById('videoElement');
+  const mimeType = VIDEO_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+  let recorder;
+  try {
+    recorder = new MediaRecorder(state.stream, mimeType ? { mimeType } : undefined);
   } catch (error) {
-    console.error('Failed to load settings:', error);
-    document.getElementById('autoSave').checked = true;
+    console.error('Failed to start recording:', error);
+    showToast('Could not start recording: ' + error.message, 'error');
+    return;
   }
+
+  const recording = {
+    recorder,
+    chunks: [],
+    startedAt,
+    record: buildCaptureRecord({ id: generatePhotoId('VID'), capturedAt: startedAt, position: state.position, fix, session, project }),
+    width: video.videoWidth,
+    height: video.videoHeight,
+    poster: captureVideoPoster(),
+    track: []
+  };
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) recording.chunks.push(event.data);
+  };
+  recorder.onstop = () => finishVideoRecording(recording);
+  recorder.start(1000);
+
+  state.recording = recording;
+  updateGeoWatch();
+  if (state.position) addTrackPoint(state.position);
+  await requestWakeLock();
+  updateCaptureBanner();
+  updateCaptureModeButtons();
 }
 
-// Update photo count badge
-function updatePhotoCount() {
-  const badge = document.getElementById('photoCount');
-  const summary = document.getElementById('gallerySummary');
-  
-  if (state.photos.length > 0) {
-    badge.textContent = state.photos.length;
-    badge.classList.remove('hidden');
-    summary.textContent = `${state.photos.length} photo${state.photos.length > 1 ? 's' : ''}`;
-  } else {
-    badge.classList.add('hidden');
-    summary.textContent = 'No photos';
-  }
+// Stop recording (the clip is saved once the recorder flushes)
+function stopVideoRecording() {
+  const recording = state.recording;
+  if (!recording) return;
+
+  state.recording = null;
+  updateGeoWatch();
+  recording.endedAt = new Date();
+  recording.recorder.stop();
+  releaseWakeLock();
+  updateCaptureBanner();
+  updateCaptureModeButtons();
 }
 
-// Update log count badge
-function updateLogCount() {
-  const badge = document.getElementById('logCount');
-  const summary = document.getElementById('logsSummary');
-  
-  if (state.logs.length > 0) {
-    badge.textContent = state.logs.length;
-    badge.classList.remove('hidden');
-    summary.textContent = `${state.logs.length} capture${state.logs.length > 1 ? 's' : ''} logged`;
-  } else {
-    badge.classList.add('hidden');
-    summary.textContent = 'No captures yet';
-  }
+// Sample a GPS fix into the recording's track
+function addTrackPoint(position) {
+  const recording = state.recording;
+  const timestamp = new Date(position.timestamp).toISOString();
+  const last = recording.track[recording.track.length - 1];
+  if (last && last.timestamp === timestamp) return;
+
+  recording.track.push({
+    offsetSeconds: Math.max(0, Math.round((Date.now() - recording.startedAt) / 100) / 10),
+    timestamp,
+    latitude: position.coords.latitude,
+    longitude: position.coords.longitude,
+    accuracy: position.coords.accuracy,
+    altitude: position.coords.altitude,
+    speed: position.coords.speed,
+    heading: position.coords.heading
+  });
 }
 
-// Save photo to device
-async function saveToDevice(photo) {
+// Grab the current frame as a small JPEG poster
+function captureVideoPoster(maxSize = 480) {
+  const video = document.getElementById('videoElement');
+  if (!video.videoWidth || !video.videoHeight) return Promise.resolve(null);
+  const scale = Math.min(1, maxSize / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+}
+
+// Hash, sign, store and log a finished clip like a photo
+async function finishVideoRecording(recording) {
   try {
-    // Try File System Access API
-    if ('showSaveFilePicker' in window) {
-      const handle = await window.showSaveFilePicker({
-        suggestedName: `${photo.id}.jpg`,
-        types: [{
-          description: 'JPEG Image',
-          accept: { 'image/jpeg': ['.jpg'] }
-        }]
-      });
-      
-      const writable = await handle.createWritable();
-      const response = await fetch(photo.imageData);
-      await writable.write(await response.blob());
-      await writable.close();
-      
-      showToast('Photo saved! 💾', 'success');
+    const blob = new Blob(recording.chunks, { type: recording.recorder.mimeType || 'video/webm' });
+    if (blob.size === 0) {
+      showToast('Recording failed: no video data', 'error');
       return;
     }
-    
-    // Try Web Share API
-    if (navigator.share && navigator.canShare) {
-      const response = await fetch(photo.imageData);
-      const blob = await response.blob();
-      const file = new File([blob], `${photo.id}.jpg`, { type: 'image/jpeg' });
-      
-      if (navigator.canShare({ files: [file] })) {
-        await navigator.share({
-          files: [file],
-          title: `TraceCam ${photo.id}`,
-        });
-        showToast('Photo saved! 📸', 'success');
-        return;
-      }
+
+    const clip = {
+      ...recording.record,
+      mediaType: 'video',
+      mimeType: blob.type,
+      imageBlob: blob,
+      posterBlob: await recording.poster,
+      imageWidth: recording.width,
+      imageHeight: recording.height,
+      fileSizeKB: Math.round(blob.size / 1024),
+      durationSeconds: Math.round((recording.endedAt - recording.startedAt) / 100) / 10,
+      endTimestamp: recording.endedAt.toISOString(),
+      track: recording.track
+    };
+    clip.imageHash = await sha256Hex(blob);
+    clip.metadataHash = await hashPhotoMetadata(clip);
+
+    try {
+      await signCapture(clip);
+    } catch (error) {
+      console.error('Failed to sign capture:', error);
     }
-    
-    // Fallback: direct download
-    downloadPhotoDirect(photo);
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      showToast('Photo captured! 📸', 'success');
+
+    state.photos.unshift(clip);
+    await savePhoto(clip);
+    await addLog(clip);
+    queueUpload(clip);
+    updatePhotoCount();
+
+    if (state.settings.autoSave) {
+      saveToDevice(clip);
     } else {
-      console.error('Save error:', error);
-      showToast('Photo captured (saved to app)', 'success');
+      showToast(`Video saved! 🎥 (${formatCountdown(Math.round(clip.durationSeconds))}, ${clip.track.length} GPS points)`, 'success');
+    }
+    if (state.settings.notePrompt) {
+      showAnnotate(clip.id);
     }
+  } catch (error) {
+    console.error('Failed to save video:', error);
+    showToast('Failed to save video: ' + error.message, 'error');
   }
 }
 
-// Direct download
-function downloadPhotoDirect(photo) {
-  const link = document.createElement('a');
-  link.href = photo.imageData;
-  link.download = `${photo.id}.jpg`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  showToast('Photo downloaded! 📥', 'success');
-}
+// Overlay template fields in editor order
+const OVERLAY_FIELDS = {
+  project: { label: 'Project & client', value: d => d.projectName && `📁 ${d.projectName}${d.clientName ? ` • ${d.clientName}` : ''}` },
+  site: { label: 'Site', value: d => formatRecordSite(d) && `🏗️ ${formatRecordSite(d)}` },
+  operator: { label: 'Operator', value: d => d.operatorName && `👤 ${d.operatorName}` },
+  photoId: { label: 'Photo ID', value: d => d.photoId && `🆔 ${d.photoId}` },
+  heading: { label: 'Bearing & tilt', value: d => d.orientation?.magneticHeading != null && `🧭 ${formatBearing(d.orientation)} • pitch ${d.orientation.pitch.toFixed(0)}° • roll ${d.orientation.roll.toFixed(0)}°` },
+  address: { label: 'Address', value: d => d.address && `🏠 ${d.address}` },
+  coords: { label: 'Coordinates', value: d => d.position && `📍 ${d.position.coords.latitude.toFixed(6)}, ${d.position.coords.longitude.toFixed(6)} (±${d.position.coords.accuracy?.toFixed(0) || '?'}m)` },
+  dms: {
+    label: 'DMS',
+    value: d => {
+      if (!d.position) return null;
+      const dms = decimalToDMS(d.position.coords.latitude, d.position.coords.longitude);
+      return `🌐 ${dms.latitude.formatted}, ${dms.longitude.formatted}`;
+    }
+  },
+  utc: { label: 'UTC time', value: d => `UTC: ${d.date.toISOString()}` },
+  timestamp: { label: 'Local time', value: d => `📅 ${d.date.toLocaleString()} (${d.timezone})` },
+  notes: { label: 'Notes', value: d => d.notes && `📝 ${d.notes}` },
+  customText: { label: 'Custom text', value: (d, template) => template.customText }
+};
 
-// Save all photos
-async function saveAllPhotos() {
-  if (state.photos.length === 0) {
-    showToast('No photos to save', 'error');
-    return;
-  }
-  
-  showToast(`Saving ${state.photos.length} photos...`);
-  
-  for (let i = 0; i < state.photos.length; i++) {
-    downloadPhotoDirect(state.photos[i]);
-    await new Promise(resolve => setTimeout(resolve, 400));
+// Overlay positions
+const OVERLAY_POSITIONS = {
+  'bottom-bar': 'Bottom bar',
+  'top-bar': 'Top bar',
+  'top-left': 'Top left',
+  'top-right': 'Top right',
+  'bottom-left': 'Bottom left',
+  'bottom-right': 'Bottom right'
+};
+
+// Built-in overlay templates (the classic layout matches the original stamp)
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'classic', name: 'Classic bar', builtIn: true,
+    fields: ['heading', 'coords', 'utc', 'timestamp'], customText: '',
+    position: 'bottom-bar', fontScale: 1, textColor: '#ffffff', backgroundColor: '#000000', backgroundOpacity: 0.6,
+    compassRose: true, watermark: false, logo: null, qrCode: false, qrUrlTemplate: ''
+  },
+  {
+    id: 'inspection', name: 'Inspection report', builtIn: true,
+    fields: ['project', 'site', 'operator', 'photoId', 'address', 'coords', 'timestamp'], customText: '',
+    position: 'bottom-bar', fontScale: 1, textColor: '#ffffff', backgroundColor: '#0f172a', backgroundOpacity: 0.75,
+    compassRose: true, watermark: false, logo: null, qrCode: false, qrUrlTemplate: ''
+  },
+  {
+    id: 'corner', name: 'Minimal corner', builtIn: true,
+    fields: ['coords', 'timestamp'], customText: '',
+    position: 'bottom-right', fontScale: 0.8, textColor: '#ffffff', backgroundColor: '#000000', backgroundOpacity: 0.4,
+    compassRose: false, watermark: false, logo: null, qrCode: false, qrUrlTemplate: ''
   }
-  
-  showToast(`Saved ${state.photos.length} photos! 📥`, 'success');
+];
+
+// Get all overlay templates
+function getTemplates() {
+  return [...BUILTIN_TEMPLATES, ...state.templates];
 }
 
-// Show gallery
-function showGallery() {
-  const container = document.getElementById('galleryContainer');
-  
-  if (state.photos.length === 0) {
-    container.innerHTML = `
-      <div class="col-span-2 text-center py-12">
-        <div class="w-16 h-16 bg-slate-800 rounded-full flex items-center justify-center mx-auto mb-4">
-          <svg class="w-8 h-8 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-          </svg>
-        </div>
-        <p class="text-slate-500 text-sm">No photos yet</p>
-        <p class="text-slate-600 text-xs mt-1">Captured photos will appear here</p>
-      </div>
-    `;
-  } else {
-    container.innerHTML = state.photos.map(photo => `
-      <div class="aspect-square bg-slate-800 rounded-xl overflow-hidden relative cursor-pointer group" onclick="previewPhoto('${photo.id}')">
-        <img src="${photo.imageData}" class="w-full h-full object-cover transition group-hover:scale-105" alt="Photo ${photo.id}" loading="lazy">
-        <div class="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/80 to-transparent px-2 py-2">
-          <p class="text-[10px] font-mono text-white/80 truncate">${photo.id}</p>
-        </div>
-      </div>
-    `).join('');
-  }
-  
-  document.getElementById('galleryModal').classList.remove('hidden');
+// Get a template by ID (unknown IDs fall back to the classic layout)
+function getTemplate(id) {
+  return getTemplates().find(t => t.id === id) || BUILTIN_TEMPLATES[0];
 }
 
-// Close gallery
-function closeGallery() {
-  document.getElementById('galleryModal').classList.add('hidden');
+// Get the overlay template of a project
+function getProjectTemplate(project = getActiveProject()) {
+  return getTemplate(project.templateId);
 }
 
-// Preview photo
-function previewPhoto(photoId) {
-  const photo = state.photos.find(p => p.id === photoId);
-  if (!photo) return;
-  
-  state.currentPreview = photo;
-  
-  document.getElementById('previewImage').src = photo.imageData;
-  
-  let metadataHtml = `
-    <p class="flex justify-between"><span class="text-slate-500">ID:</span><span class="text-white">${photo.id}</span></p>
-    <p class="flex justify-between"><span class="text-slate-500">Resolution:</span><span class="text-white">${photo.imageWidth || '?'}×${photo.imageHeight || '?'}</span></p>
-    ${photo.fileSizeKB ? `<p class="flex justify-between"><span class="text-slate-500">Size:</span><span class="text-white">${photo.fileSizeKB > 1024 ? (photo.fileSizeKB/1024).toFixed(1) + ' MB' : photo.fileSizeKB + ' KB'}</span></p>` : ''}
-    <p class="flex justify-between"><span class="text-slate-500">Quality:</span><span class="text-white">${photo.quality || 'High'}</span></p>
-    <div class="border-t border-slate-700 my-2 pt-2"></div>
-    <p class="flex justify-between"><span class="text-slate-500">Time:</span><span class="text-white text-right ml-2">${photo.timestampLocal}</span></p>
-    <p class="flex justify-between"><span class="text-slate-500">Timezone:</span><span class="text-white">${photo.timezone}</span></p>
-  `;
-  
-  if (photo.location) {
-    metadataHtml += `
-      <div class="border-t border-slate-700 my-2 pt-2"></div>
-      <p class="flex justify-between"><span class="text-slate-500">Location:</span><span class="text-emerald-400">${photo.location.latitude.toFixed(6)}, ${photo.location.longitude.toFixed(6)}</span></p>
-    `;
-    
-    if (photo.location.dms) {
-      metadataHtml += `
-        <p class="text-xs text-slate-500 mt-1">DMS: ${photo.location.dms.latitude.formatted}, ${photo.location.dms.longitude.formatted}</p>
-      `;
-    }
-    
-    if (photo.location.accuracy) {
-      metadataHtml += `<p class="flex justify-between"><span class="text-slate-500">Accuracy:</span><span class="text-white">±${photo.location.accuracy.toFixed(1)}m</span></p>`;
-    }
-    
-    if (photo.locationDecipher) {
-      metadataHtml += `
-        <div class="bg-slate-800/50 rounded-lg p-2 mt-2">
-          <p class="text-xs text-slate-400">${photo.locationDecipher.hemisphere.lat}ern hemisphere • ${photo.locationDecipher.locationType}</p>
-          <p class="text-xs text-slate-500">${photo.locationDecipher.seasonHint}</p>
-          <a href="${photo.locationDecipher.mapUrl}" target="_blank" class="text-xs text-blue-400 hover:text-blue-300 mt-1 inline-block">🗺️ View on Map</a>
-        </div>
-      `;
-    }
-  }
-  
-  if (photo.address) {
-    metadataHtml += `<p class="flex justify-between mt-1"><span class="text-slate-500">Address:</span><span class="text-white text-right ml-2 text-xs">${photo.address}</span></p>`;
+// Build overlay data for the live preview or a capture
+function getOverlayData(overrides = {}) {
+  const project = getActiveProject();
+  const data = {
+    date: new Date(),
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    position: state.position,
+    orientation: state.orientation,
+    address: getCurrentAddress(),
+    projectName: project.name,
+    clientName: project.client,
+    operatorName: getOperatorName(project),
+    photoId: 'IMG-PREVIEW',
+    notes: document.getElementById('stampNote')?.value.trim() || '',
+    ...overrides
+  };
+  return { ...getSiteFields(data.position, project), ...data };
+}
+
+// Text lines for a template's fields
+function getOverlayLines(template, data) {
+  return template.fields
+    .map(field => OVERLAY_FIELDS[field]?.value(data, template))
+    .filter(Boolean);
+}
+
+// Convert #rrggbb and opacity to rgba()
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Shorten text with an ellipsis to fit a width
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(text.slice(0, end) + '…').width > maxWidth) end--;
+  return text.slice(0, end) + '…';
+}
+
+// Draw TraceCam banner across the top, returns its height
+function drawWatermark(ctx, width, fontSize, scale) {
+  const watermarkFontSize = fontSize * 2.5;
+  const watermarkBarHeight = watermarkFontSize * 1.8;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, width, watermarkBarHeight);
+
+  ctx.font = `bold ${watermarkFontSize}px sans-serif`;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('📍 TraceCam', width / 2, watermarkBarHeight / 2);
+
+  // Add subtle line under watermark
+  ctx.strokeStyle = 'rgba(16, 185, 129, 0.8)';
+  ctx.lineWidth = 3 * scale;
+  ctx.beginPath();
+  ctx.moveTo(width * 0.3, watermarkBarHeight - 5);
+  ctx.lineTo(width * 0.7, watermarkBarHeight - 5);
+  ctx.stroke();
+
+  ctx.textAlign = 'left';
+  return watermarkBarHeight;
+}
+
+// QR code error correction (level M) per version: codewords per block, number of blocks
+const QR_ECC_CODEWORDS = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+// Count data modules of a QR version (everything except function patterns)
+function getQrRawModules(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    modules -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) modules -= 36;
   }
-  
-  metadataHtml += `
-    <div class="border-t border-slate-700 my-2 pt-2"></div>
-    <p class="flex justify-between"><span class="text-slate-500">Session:</span><span class="text-white">${photo.sessionId}</span></p>
-    ${photo.projectName ? `<p class="flex justify-between"><span class="text-slate-500">Project:</span><span class="text-white">${photo.projectName}</span></p>` : ''}
-    ${photo.operatorName ? `<p class="flex justify-between"><span class="text-slate-500">Operator:</span><span class="text-white">${photo.operatorName}</span></p>` : ''}
-  `;
-  
-  document.getElementById('previewMetadata').innerHTML = metadataHtml;
-  
-  document.getElementById('previewModal').classList.remove('hidden');
+  return modules;
 }
 
-// Close preview
-function closePreview() {
-  document.getElementById('previewModal').classList.add('hidden');
-  state.currentPreview = null;
+// Get alignment pattern center coordinates of a QR version
+function getQrAlignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
 }
 
-// Share photo
-async function sharePhoto() {
-  if (!state.currentPreview) return;
-  
-  const photo = state.currentPreview;
-  const text = `TraceCam Photo\n${photo.id}\n${photo.timestampLocal}\n${photo.location?.latitude.toFixed(6)}, ${photo.location?.longitude.toFixed(6)}`;
-  
-  if (navigator.share) {
-    try {
-      const response = await fetch(photo.imageData);
-      const blob = await response.blob();
-      const file = new File([blob], `${photo.id}.jpg`, { type: 'image/jpeg' });
-      
-      await navigator.share({
-        title: 'TraceCam Photo',
-        text,
-        files: [file]
-      });
-    } catch (e) {
-      if (e.name !== 'AbortError') {
-        await navigator.clipboard.writeText(text);
-        showToast('Copied to clipboard', 'success');
+// Multiply in GF(256) with the QR polynomial
+function qrGfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// Reed-Solomon error correction codewords for one block
+function qrReedSolomon(data, degree) {
+  const divisor = new Array(degree - 1).fill(0).concat(1);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < divisor.length; j++) {
+      divisor[j] = qrGfMultiply(divisor[j], root);
+      if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+    }
+    root = qrGfMultiply(root, 0x02);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coef, i) => { remainder[i] ^= qrGfMultiply(coef, factor); });
+  });
+  return remainder;
+}
+
+// QR mask patterns
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Penalty score of a module grid (lower scans better)
+function scoreQrMatrix(modules) {
+  const size = modules.length;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i], modules.map(row => row[i]));
+  }
+
+  let penalty = 0;
+  const finderLike = /(?:^|0000)1011101|1011101(?:0000|$)/g;
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+    penalty += (line.map(Number).join('').match(finderLike) || []).length * 40;
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) penalty += 3;
+      }
+    }
+  }
+  penalty += (Math.ceil(Math.abs(dark * 20 - size * size * 10) / (size * size)) - 1) * 10;
+  return penalty;
+}
+
+// Encode text as a QR code (byte mode, error correction M), returns rows of booleans or null if too long
+function encodeQr(text) {
+  const bytes = new TextEncoder().encode(text);
+
+  // Smallest version that fits
+  let version = 1;
+  let dataCodewords = 0;
+  for (; version <= 40; version++) {
+    dataCodewords = Math.floor(getQrRawModules(version) / 8) - QR_ECC_CODEWORDS[version] * QR_ECC_BLOCKS[version];
+    if (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 <= dataCodewords * 8) break;
+  }
+  if (version > 40) return null;
+
+  // Mode, length, data, terminator and padding
+  const bits = [];
+  const pushBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  pushBits(0b0100, 4);
+  pushBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => pushBits(byte, 8));
+  pushBits(0, Math.min(4, dataCodewords * 8 - bits.length));
+  pushBits(0, (8 - bits.length % 8) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xEC; data.length < dataCodewords; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+  // Split into blocks, add error correction and interleave
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_CODEWORDS[version];
+  const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortLength = Math.floor(rawCodewords / blockCount);
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = qrReedSolomon(block, eccLength);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) codewords.push(block[i]);
+    });
+  }
+
+  // Function patterns: timing, finders, alignment, format and version areas
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = getQrAlignmentPositions(version);
+  align.forEach((cx, i) => align.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  const drawFormat = (mask) => {
+    let rem = mask;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const format = ((mask << 10) | rem) ^ 0x5412;
+    const bit = i => ((format >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormat(0);
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const versionBits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) === 1;
+      setFunction(size - 11 + i % 3, Math.floor(i / 3), dark);
+      setFunction(Math.floor(i / 3), size - 11 + i % 3, dark);
+    }
+  }
+
+  // Data in a zigzag from the bottom right, two columns at a time
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
       }
     }
+  }
+
+  // Apply the mask with the lowest penalty (format bits are 5-bit level+mask, M = 00)
+  const applyMask = (mask) => modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== QR_MASKS[mask](x, y))));
+  let best = null;
+  QR_MASKS.forEach((_, mask) => {
+    drawFormat(mask);
+    const masked = applyMask(mask);
+    const penalty = scoreQrMatrix(masked);
+    if (!best || penalty < best.penalty) best = { mask, penalty, modules: masked };
+  });
+  return best.modules;
+}
+
+// Build the QR payload: a verification URL, or the capture's ID, time, coordinates and hash
+function getQrPayload(template, data) {
+  const position = data.position?.coords;
+  const values = {
+    id: data.photoId || '',
+    utc: data.date.toISOString(),
+    lat: position ? position.latitude.toFixed(6) : '',
+    lng: position ? position.longitude.toFixed(6) : '',
+    hash: data.captureHash || ''
+  };
+  if (template.qrUrlTemplate) {
+    return template.qrUrlTemplate.replace(/\{(id|utc|lat|lng|hash)\}/g, (_, key) => encodeURIComponent(values[key]));
+  }
+  return [
+    'TRACECAM',
+    `ID:${values.id}`,
+    `UTC:${values.utc}`,
+    position ? `GEO:${values.lat},${values.lng}` : null,
+    values.hash ? `SHA256:${values.hash}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Draw a QR code on a white tile with a quiet zone
+function drawQrCode(ctx, modules, x, y, moduleSize) {
+  const tileSize = (modules.length + 8) * moduleSize;
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(x, y, tileSize, tileSize);
+  ctx.fillStyle = '#000000';
+  modules.forEach((row, my) => row.forEach((dark, mx) => {
+    if (dark) ctx.fillRect(x + (mx + 4) * moduleSize, y + (my + 4) * moduleSize, moduleSize, moduleSize);
+  }));
+}
+
+// Draw the metadata stamp described by an overlay template
+function addMetadataOverlay(ctx, width, height, template, data, logo = overlayLogos.get(template.id)) {
+  const scale = height / 1080;
+  const padding = 20 * scale;
+  const fontSize = Math.max(10, 18 * scale * template.fontScale);
+  const lineHeight = fontSize * 1.6;
+  const heading = data.orientation?.trueHeading ?? data.orientation?.magneticHeading;
+  const showRose = template.compassRose && typeof heading === 'number';
+  const lines = getOverlayLines(template, data);
+  const isBar = template.position.endsWith('-bar');
+  const isTop = template.position.startsWith('top');
+  const isLeft = template.position.endsWith('left');
+
+  const bannerHeight = template.watermark ? drawWatermark(ctx, width, fontSize, scale) : 0;
+
+  // Edge of the stamp facing the image center (QR code stacks beyond it)
+  let innerEdge = isTop ? bannerHeight : height;
+
+  if (lines.length > 0 || showRose || logo) {
+    // Box size: text column plus compass rose and logo on the right
+    ctx.font = `${fontSize}px monospace`;
+    const boxHeight = Math.max(lines.length, showRose || logo ? 3 : 0) * lineHeight + padding;
+    const graphicSize = boxHeight - padding;
+    const logoWidth = logo ? Math.min(graphicSize * logo.width / logo.height, width * 0.3) : 0;
+    const graphicsWidth = (showRose ? graphicSize + padding : 0) + (logo ? logoWidth + padding : 0);
+    const textWidth = Math.max(0, ...lines.map(line => ctx.measureText(line).width));
+    const boxWidth = isBar ? width : Math.min(width - padding * 2, textWidth + graphicsWidth + padding * 2);
+    const boxX = isBar ? 0 : (isLeft ? padding : width - boxWidth - padding);
+    const boxY = isTop ? bannerHeight + (isBar ? 0 : padding) : height - boxHeight - (isBar ? 0 : padding);
+    innerEdge = isTop ? boxY + boxHeight : boxY;
+
+    ctx.fillStyle = hexToRgba(template.backgroundColor, template.backgroundOpacity);
+    ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+
+    // Text lines, vertically centered
+    ctx.fillStyle = template.textColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const maxTextWidth = boxWidth - graphicsWidth - padding * 2;
+    const textTop = boxY + (boxHeight - lines.length * lineHeight) / 2;
+    lines.forEach((line, i) => {
+      ctx.fillText(fitText(ctx, line, maxTextWidth), boxX + padding, textTop + (i + 0.5) * lineHeight);
+    });
+
+    // Compass rose at the right edge, logo to its left
+    let graphicRight = boxX + boxWidth - padding;
+    if (showRose) {
+      drawCompassRose(ctx, graphicRight - graphicSize / 2, boxY + boxHeight / 2, graphicSize / 2, heading, scale);
+      graphicRight -= graphicSize + padding;
+    }
+    if (logo) {
+      ctx.drawImage(logo, graphicRight - logoWidth, boxY + padding / 2, logoWidth, graphicSize);
+    }
+  }
+
+  // Verification QR code, 4px modules at 1080p
+  const qr = template.qrCode ? encodeQr(getQrPayload(template, data)) : null;
+  if (qr) {
+    const moduleSize = Math.max(2, Math.round(4 * scale));
+    const tileSize = (qr.length + 8) * moduleSize;
+    const qrX = isLeft ? padding : width - tileSize - padding;
+    const qrY = isTop ? innerEdge + padding : innerEdge - tileSize - padding;
+    drawQrCode(ctx, qr, qrX, qrY, moduleSize);
+  }
+
+  ctx.textBaseline = 'bottom';
+}
+
+// Render the project's stamp over the live video
+function renderOverlayPreview() {
+  const canvas = document.getElementById('overlayPreview');
+  const video = document.getElementById('videoElement');
+  if (!canvas) return;
+
+  const enabled = state.settings.stampPreview && video.videoWidth > 0;
+  canvas.classList.toggle('hidden', !enabled);
+  document.getElementById('liveTimeOverlay').classList.toggle('hidden', enabled);
+  if (!enabled) return;
+
+  // Same aspect ratio as the captured frame, at preview resolution
+  const previewScale = Math.min(1, 720 / video.videoHeight);
+  canvas.width = Math.round(video.videoWidth * previewScale);
+  canvas.height = Math.round(video.videoHeight * previewScale);
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  addMetadataOverlay(ctx, canvas.width, canvas.height, getProjectTemplate(), getOverlayData({ captureHash: '0'.repeat(64) }));
+}
+
+// Toggle the live stamp preview
+function toggleStampPreview() {
+  state.settings.stampPreview = !state.settings.stampPreview;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  renderOverlayPreview();
+}
+
+// Show the stamp note input only when the template prints notes
+function updateStampNoteInput() {
+  document.getElementById('stampNoteRow').classList.toggle('hidden', !getProjectTemplate().fields.includes('notes'));
+}
+
+// EXIF field types (TIFF)
+const EXIF_TYPE = { BYTE: 1, ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5, UNDEFINED: 7 };
+const EXIF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const TRACECAM_XMP_NS = 'https://tracecam.vercel.app/ns/1.0/';
+
+// Convert data URL to bytes
+function dataUrlToBytes(dataUrl) {
+  return base64ToBytes(dataUrl.split(',')[1]);
+}
+
+// Format timezone offset as EXIF "+HH:MM"
+function formatExifOffset(date) {
+  const offset = -date.getTimezoneOffset();
+  const abs = Math.abs(offset);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${offset >= 0 ? '+' : '-'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Format date as EXIF "YYYY:MM:DD HH:MM:SS" in the given "+HH:MM" offset
+function formatExifDate(date, utcOffset) {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(utcOffset || '');
+  const offsetMinutes = match
+    ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10))
+    : -date.getTimezoneOffset();
+  const local = new Date(date.getTime() + offsetMinutes * 60000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${local.getUTCFullYear()}:${pad(local.getUTCMonth() + 1)}:${pad(local.getUTCDate())} ` +
+    `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())}`;
+}
+
+// Convert decimal to EXIF rational [numerator, denominator]
+function toRational(value, precision = 1000) {
+  return [Math.round(Math.abs(value) * precision), precision];
+}
+
+// Convert decimal degrees to EXIF degrees/minutes/seconds rationals
+function toExifDMS(decimal) {
+  const absolute = Math.abs(decimal);
+  const degrees = Math.floor(absolute);
+  const minutes = Math.floor((absolute - degrees) * 60);
+  const seconds = ((absolute - degrees) * 60 - minutes) * 60;
+  return [[degrees, 1], [minutes, 1], toRational(seconds, 10000)];
+}
+
+// Get camera make from device name
+function getDeviceMake(device) {
+  if (/^(iPhone|iPad|Mac)/.test(device)) return 'Apple';
+  if (/^Windows/.test(device)) return 'Microsoft';
+  return device.split(' ')[0];
+}
+
+// Build a single IFD entry
+function exifEntry(tag, type, value) {
+  let bytes;
+  if (type === EXIF_TYPE.ASCII) {
+    bytes = new TextEncoder().encode(`${value}\0`);
+  } else if (value instanceof Uint8Array) {
+    bytes = value;
   } else {
-    await navigator.clipboard.writeText(text);
-    showToast('Copied to clipboard', 'success');
+    const size = EXIF_TYPE_SIZE[type];
+    bytes = new Uint8Array(value.length * size);
+    const view = new DataView(bytes.buffer);
+    value.forEach((v, i) => {
+      if (type === EXIF_TYPE.RATIONAL) {
+        view.setUint32(i * size, v[0]);
+        view.setUint32(i * size + 4, v[1]);
+      } else if (type === EXIF_TYPE.LONG) {
+        view.setUint32(i * size, v);
+      } else if (type === EXIF_TYPE.SHORT) {
+        view.setUint16(i * size, v);
+      } else {
+        view.setUint8(i * size, v);
+      }
+    });
+  }
+  return { tag, type, count: bytes.length / EXIF_TYPE_SIZE[type], bytes };
+}
+
+// Size of an IFD including its out-of-line values
+function ifdSize(entries) {
+  return entries.reduce(
+    (size, entry) => size + (entry.bytes.length > 4 ? entry.bytes.length + (entry.bytes.length % 2) : 0),
+    6 + entries.length * 12
+  );
+}
+
+// Write an IFD (big-endian) at offset within the TIFF buffer
+function writeIfd(tiff, offset, entries) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  let dataOffset = offset + 6 + sorted.length * 12;
+
+  view.setUint16(offset, sorted.length);
+  sorted.forEach((entry, i) => {
+    const pos = offset + 2 + i * 12;
+    view.setUint16(pos, entry.tag);
+    view.setUint16(pos + 2, entry.type);
+    view.setUint32(pos + 4, entry.count);
+    if (entry.bytes.length <= 4) {
+      tiff.set(entry.bytes, pos + 8);
+    } else {
+      view.setUint32(pos + 8, dataOffset);
+      tiff.set(entry.bytes, dataOffset);
+      dataOffset += entry.bytes.length + (entry.bytes.length % 2);
+    }
+  });
+  view.setUint32(offset + 2 + sorted.length * 12, 0);
+}
+
+// Encode UserComment with the UNICODE (UCS-2, big-endian) character code
+function encodeUserComment(text) {
+  const bytes = new Uint8Array(8 + text.length * 2);
+  bytes.set(new TextEncoder().encode('UNICODE\0'));
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < text.length; i++) {
+    view.setUint16(8 + i * 2, text.charCodeAt(i));
+  }
+  return bytes;
+}
+
+// Build EXIF APP1 segment for a photo record
+function buildExifSegment(photo) {
+  const { ASCII, BYTE, SHORT, LONG, RATIONAL, UNDEFINED } = EXIF_TYPE;
+  const date = new Date(photo.timestamp);
+  const localDate = formatExifDate(date, photo.utcOffset);
+  const utcOffset = photo.utcOffset || formatExifOffset(date);
+  const device = photo.device || getDeviceInfo();
+
+  const ifd0 = [
+    exifEntry(0x010F, ASCII, getDeviceMake(device)),
+    exifEntry(0x0110, ASCII, device),
+    exifEntry(0x0131, ASCII, 'TraceCam'),
+    exifEntry(0x0132, ASCII, localDate)
+  ];
+
+  const comment = [
+    photo.projectName && `Project: ${photo.projectName}`,
+    photo.operatorName && `Operator: ${photo.operatorName}`,
+    photo.siteName && `Site: ${photo.siteName}`,
+    `Session: ${photo.sessionId}`
+  ].filter(Boolean).join('; ');
+
+  const exif = [
+    exifEntry(0x9000, UNDEFINED, new TextEncoder().encode('0232')),
+    exifEntry(0x9003, ASCII, localDate),
+    exifEntry(0x9004, ASCII, localDate),
+    exifEntry(0x9010, ASCII, utcOffset),
+    exifEntry(0x9011, ASCII, utcOffset),
+    exifEntry(0x9012, ASCII, utcOffset),
+    exifEntry(0x9291, ASCII, String(date.getUTCMilliseconds()).padStart(3, '0')),
+    exifEntry(0x9286, UNDEFINED, encodeUserComment(comment)),
+    exifEntry(0xA002, LONG, [photo.imageWidth]),
+    exifEntry(0xA003, LONG, [photo.imageHeight]),
+    exifEntry(0xA420, ASCII, photo.id)
+  ];
+
+  let gps = null;
+  if (photo.location) {
+    const { latitude, longitude, altitude, accuracy, heading } = photo.location;
+    const iso = date.toISOString();
+    gps = [
+      exifEntry(0x0000, BYTE, [2, 3, 0, 0]),
+      exifEntry(0x0001, ASCII, latitude >= 0 ? 'N' : 'S'),
+      exifEntry(0x0002, RATIONAL, toExifDMS(latitude)),
+      exifEntry(0x0003, ASCII, longitude >= 0 ? 'E' : 'W'),
+      exifEntry(0x0004, RATIONAL, toExifDMS(longitude)),
+      exifEntry(0x0007, RATIONAL, [[date.getUTCHours(), 1], [date.getUTCMinutes(), 1], toRational(date.getUTCSeconds() + date.getUTCMilliseconds() / 1000)]),
+      exifEntry(0x001D, ASCII, iso.substring(0, 10).replace(/-/g, ':'))
+    ];
+    if (typeof altitude === 'number') {
+      gps.push(exifEntry(0x0005, BYTE, [altitude < 0 ? 1 : 0]));
+      gps.push(exifEntry(0x0006, RATIONAL, [toRational(altitude, 100)]));
+    }
+    if (typeof heading === 'number' && !isNaN(heading)) {
+      gps.push(exifEntry(0x000E, ASCII, 'T'));
+      gps.push(exifEntry(0x000F, RATIONAL, [toRational(heading, 100)]));
+    }
+    const bearing = photo.orientation?.trueHeading ?? photo.orientation?.magneticHeading;
+    if (typeof bearing === 'number') {
+      gps.push(exifEntry(0x0010, ASCII, photo.orientation.trueHeading !== null ? 'T' : 'M'));
+      gps.push(exifEntry(0x0011, RATIONAL, [toRational(bearing, 100)]));
+    }
+    if (typeof accuracy === 'number') {
+      gps.push(exifEntry(0x001F, RATIONAL, [toRational(accuracy, 100)]));
+    }
+  }
+
+  // Sub-IFD pointers are fixed-size, so layout can be computed before filling them in
+  ifd0.push(exifEntry(0x8769, LONG, [0]));
+  if (gps) ifd0.push(exifEntry(0x8825, LONG, [0]));
+
+  const exifOffset = 8 + ifdSize(ifd0);
+  const gpsOffset = exifOffset + ifdSize(exif);
+  ifd0[ifd0.findIndex(e => e.tag === 0x8769)] = exifEntry(0x8769, LONG, [exifOffset]);
+  if (gps) ifd0[ifd0.findIndex(e => e.tag === 0x8825)] = exifEntry(0x8825, LONG, [gpsOffset]);
+
+  const tiff = new Uint8Array(gpsOffset + (gps ? ifdSize(gps) : 0));
+  tiff.set([0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08]);
+  writeIfd(tiff, 8, ifd0);
+  writeIfd(tiff, exifOffset, exif);
+  if (gps) writeIfd(tiff, gpsOffset, gps);
+
+  return buildAppSegment(0xE1, new TextEncoder().encode(EXIF_HEADER), tiff);
+}
+
+// Escape text for XML
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Build XMP APP1 segment with project, operator and session
+function buildXmpSegment(photo) {
+  const fields = {
+    PhotoID: photo.id,
+    SessionID: photo.sessionId,
+    SequenceID: photo.sequence?.id,
+    ProjectName: photo.projectName,
+    ClientName: photo.clientName,
+    OperatorName: photo.operatorName,
+    SiteName: photo.siteName,
+    Address: photo.address
+  };
+
+  const properties = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `   <tracecam:${name}>${escapeXml(value)}</tracecam:${name}>`)
+    .join('\n');
+
+  const xmp = `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:tracecam="${TRACECAM_XMP_NS}">
+${properties}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+  return buildAppSegment(0xE1, new TextEncoder().encode(XMP_HEADER), new TextEncoder().encode(xmp));
+}
+
+// Build a JPEG APPn segment from header and payload
+function buildAppSegment(marker, header, payload) {
+  const length = 2 + header.length + payload.length;
+  if (length > 0xFFFF) {
+    throw new Error('Metadata segment too large');
+  }
+  const segment = new Uint8Array(2 + length);
+  segment.set([0xFF, marker, length >> 8, length & 0xFF]);
+  segment.set(header, 4);
+  segment.set(payload, 4 + header.length);
+  return segment;
+}
+
+// Split JPEG into header segments (up to start of scan) and the remaining data
+function parseJpegSegments(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    throw new Error('Not a JPEG image');
+  }
+
+  const segments = [];
+  let pos = 2;
+  while (pos + 4 <= bytes.length && bytes[pos] === 0xFF && bytes[pos + 1] !== 0xDA) {
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3];
+    segments.push({ marker: bytes[pos + 1], bytes: bytes.subarray(pos, pos + 2 + length) });
+    pos += 2 + length;
+  }
+
+  return { segments, rest: bytes.subarray(pos) };
+}
+
+// Check whether an APP1 segment starts with the given header
+function segmentHasHeader(segment, header) {
+  if (segment.marker !== 0xE1) return false;
+  const expected = new TextEncoder().encode(header);
+  return expected.every((byte, i) => segment.bytes[4 + i] === byte);
+}
+
+// Embed EXIF and XMP metadata into JPEG bytes, replacing any existing ones
+function embedMetadata(jpegBytes, photo) {
+  const { segments, rest } = parseJpegSegments(jpegBytes);
+  const kept = segments.filter(s => !segmentHasHeader(s, EXIF_HEADER) && !segmentHasHeader(s, XMP_HEADER));
+
+  // Keep JFIF APP0 first, then EXIF and XMP
+  const leading = kept.length && kept[0].marker === 0xE0 ? [kept.shift()] : [];
+  const parts = [
+    new Uint8Array([0xFF, 0xD8]),
+    ...leading.map(s => s.bytes),
+    buildExifSegment(photo),
+    buildXmpSegment(photo),
+    ...kept.map(s => s.bytes),
+    rest
+  ];
+
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+// Check whether JPEG bytes already carry EXIF metadata
+function hasExifMetadata(jpegBytes) {
+  try {
+    return parseJpegSegments(jpegBytes).segments.some(s => segmentHasHeader(s, EXIF_HEADER));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Read a value from a TIFF IFD entry
+function readExifValue(view, type, count, offset, little) {
+  switch (type) {
+    case EXIF_TYPE.ASCII: {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, count);
+      const end = bytes.indexOf(0);
+      return new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes);
+    }
+    case EXIF_TYPE.SHORT:
+    case EXIF_TYPE.LONG: {
+      const size = EXIF_TYPE_SIZE[type];
+      const values = Array.from({ length: count }, (_, i) =>
+        size === 2 ? view.getUint16(offset + i * 2, little) : view.getUint32(offset + i * 4, little));
+      return count === 1 ? values[0] : values;
+    }
+    case EXIF_TYPE.RATIONAL:
+      return Array.from({ length: count }, (_, i) =>
+        view.getUint32(offset + i * 8, little) / (view.getUint32(offset + i * 8 + 4, little) || 1));
+    case EXIF_TYPE.BYTE:
+    case EXIF_TYPE.UNDEFINED:
+      return new Uint8Array(view.buffer, view.byteOffset + offset, count).slice();
+    default:
+      return null;
+  }
+}
+
+// Read all entries of an IFD into a tag map
+function readIfd(view, offset, little) {
+  const tags = {};
+  const count = view.getUint16(offset, little);
+  for (let i = 0; i < count; i++) {
+    const pos = offset + 2 + i * 12;
+    const type = view.getUint16(pos + 2, little);
+    const valueCount = view.getUint32(pos + 4, little);
+    const size = (EXIF_TYPE_SIZE[type] || 0) * valueCount;
+    const valueOffset = size <= 4 ? pos + 8 : view.getUint32(pos + 8, little);
+    try {
+      tags[view.getUint16(pos, little)] = readExifValue(view, type, valueCount, valueOffset, little);
+    } catch (error) {
+      // Skip entries pointing outside the segment
+    }
+  }
+  return tags;
+}
+
+// Parse the TIFF structure of an EXIF segment
+function parseExifTiff(tiff) {
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const little = view.getUint16(0) === 0x4949;
+  const ifd0 = readIfd(view, view.getUint32(4, little), little);
+  const exif = ifd0[0x8769] ? readIfd(view, ifd0[0x8769], little) : {};
+  const gps = ifd0[0x8825] ? readIfd(view, ifd0[0x8825], little) : {};
+
+  const fromDMS = (dms, ref) => {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const decimal = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -decimal : decimal;
+  };
+
+  const result = {
+    make: ifd0[0x010F] || null,
+    model: ifd0[0x0110] || null,
+    imageUniqueId: exif[0xA420] || null,
+    dateTimeOriginal: exif[0x9003] || null,
+    offsetTime: exif[0x9011] || exif[0x9010] || null,
+    latitude: fromDMS(gps[0x0002], gps[0x0001]),
+    longitude: fromDMS(gps[0x0004], gps[0x0003]),
+    altitude: gps[0x0006] ? gps[0x0006][0] * (gps[0x0005]?.[0] === 1 ? -1 : 1) : null,
+    timestamp: null
+  };
+
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})$/.exec(result.dateTimeOriginal || '');
+  if (match && result.offsetTime) {
+    const subSec = String(exif[0x9291] || '0').padEnd(3, '0').substring(0, 3);
+    const date = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}.${subSec}${result.offsetTime}`);
+    if (!isNaN(date)) result.timestamp = date.toISOString();
+  }
+
+  return result;
+}
+
+// Parse TraceCam fields from an XMP packet
+function parseTraceCamXmp(xml) {
+  const fields = {};
+  const pattern = /<tracecam:(\w+)>([^<]*)<\/tracecam:\1>/g;
+  let match;
+  while ((match = pattern.exec(xml))) {
+    fields[match[1]] = match[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&gt;/g, '>')
+      .replace(/&lt;/g, '<')
+      .replace(/&amp;/g, '&');
+  }
+  return fields;
+}
+
+// Read embedded EXIF and XMP metadata from JPEG bytes
+function readEmbeddedMetadata(jpegBytes) {
+  const { segments } = parseJpegSegments(jpegBytes);
+  let result = { xmp: {} };
+
+  const exifSegment = segments.find(s => segmentHasHeader(s, EXIF_HEADER));
+  if (exifSegment) {
+    result = { ...result, ...parseExifTiff(exifSegment.bytes.subarray(4 + EXIF_HEADER.length)) };
+  }
+
+  const xmpSegment = segments.find(s => segmentHasHeader(s, XMP_HEADER));
+  if (xmpSegment) {
+    result.xmp = parseTraceCamXmp(new TextDecoder().decode(xmpSegment.bytes.subarray(4 + XMP_HEADER.length)));
+  }
+
+  result.id = result.imageUniqueId || result.xmp.PhotoID || null;
+  return result;
+}
+
+// Get compressed image data (start of scan onwards) for pixel comparison
+function getJpegScanData(jpegBytes) {
+  return parseJpegSegments(jpegBytes).rest;
+}
+
+// Get photo as a JPEG blob with embedded metadata (video clips as recorded)
+async function getPhotoBlob(photo) {
+  if (photo.mediaType === 'video') return photo.imageBlob;
+  const bytes = new Uint8Array(await photo.imageBlob.arrayBuffer());
+  if (hasExifMetadata(bytes)) {
+    return photo.imageBlob;
+  }
+  return new Blob([embedMetadata(bytes, photo)], { type: 'image/jpeg' });
+}
+
+// Get object URL for displaying a photo (the poster frame for video clips, or a placeholder without one)
+function getPhotoUrl(photo) {
+  if (photo.mediaType === 'video' && !photo.posterBlob) return VIDEO_PLACEHOLDER_URL;
+  if (!photoUrls.has(photo.id)) {
+    photoUrls.set(photo.id, URL.createObjectURL(photo.posterBlob || photo.imageBlob));
+  }
+  return photoUrls.get(photo.id);
+}
+
+// Get file type and name of a capture (JPEG, or the clip's container format)
+function getCaptureFile(photo) {
+  if (photo.mediaType !== 'video') {
+    return { name: `${photo.id}.jpg`, mimeType: 'image/jpeg', extension: 'jpg', description: 'JPEG Image', label: 'Photo' };
+  }
+  const mimeType = photo.mimeType.split(';')[0];
+  const extension = mimeType === 'video/mp4' ? 'mp4' : 'webm';
+  return { name: `${photo.id}.${extension}`, mimeType, extension, description: 'Video', label: 'Video' };
+}
+
+// Generate photo ID
+function generatePhotoId(prefix = 'IMG') {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+// Get device info
+function getDeviceInfo() {
+  const ua = navigator.userAgent;
+  let device = 'Unknown';
+  
+  if (/iPhone/.test(ua)) device = 'iPhone';
+  else if (/iPad/.test(ua)) device = 'iPad';
+  else if (/Android/.test(ua)) {
+    const match = ua.match(/Android\s+([\d.]+)/);
+    device = match ? `Android ${match[1]}` : 'Android';
+  }
+  else if (/Windows/.test(ua)) device = 'Windows';
+  else if (/Mac/.test(ua)) device = 'Mac';
+  else if (/Linux/.test(ua)) device = 'Linux';
+  
+  return device;
+}
+
+// Update device info display
+function updateDeviceInfo() {
+  document.getElementById('deviceInfo').textContent = getDeviceInfo();
+}
+
+// Update session ID display
+function updateSessionId() {
+  const session = getActiveSession();
+  document.getElementById('sessionId').textContent = state.sessionId || '—';
+  document.getElementById('sessionName').textContent = session ? session.name : 'No active session';
+  const track = session ? getSessionTrack(session.id) : [];
+  document.getElementById('sessionCaptures').textContent = session
+    ? `${state.logs.filter(log => log.sessionId === session.id).length} captures${track.length ? ` • 🥾 ${formatDistance(measureTrack(track))}` : ''} • since ${new Date(session.startedAt).toLocaleTimeString()}`
+    : 'A session starts automatically on the first capture';
+  document.getElementById('sessionStartBtn').classList.toggle('hidden', !!session);
+  document.getElementById('sessionEndBtn').classList.toggle('hidden', !session);
+  updateTrackButton();
+  updateChecklistPicker();
+}
+
+// Toggle details panel
+function toggleDetails() {
+  state.detailsExpanded = !state.detailsExpanded;
+  const panel = document.getElementById('detailsPanel');
+  const arrow = document.getElementById('detailsArrow');
+  
+  if (state.detailsExpanded) {
+    panel.classList.remove('hidden');
+    arrow.style.transform = 'rotate(180deg)';
+  } else {
+    panel.classList.add('hidden');
+    arrow.style.transform = 'rotate(0)';
+  }
+}
+
+// Add log entry (appended to the hash chain in capture order)
+function addLog(photo) {
+  logChain = logChain.then(() => appendLog(photo)).catch(error => {
+    console.error('Failed to append log:', error);
+    showToast('Failed to log capture', 'error');
+  });
+  return logChain;
+}
+
+// Append log entry linked to the previous entry's hash
+async function appendLog(photo) {
+  const projectId = getRecordProjectId(photo);
+  const head = loadChainHead(projectId);
+  const log = {
+    id: photo.id,
+    timestamp: photo.timestamp,
+    timestampLocal: photo.timestampLocal,
+    timezone: photo.timezone,
+    latitude: photo.location?.latitude,
+    longitude: photo.location?.longitude,
+    accuracy: photo.location?.accuracy,
+    altitude: photo.location?.altitude,
+    mediaType: photo.mediaType,
+    durationSeconds: photo.durationSeconds,
+    fix: photo.fix,
+    orientation: photo.orientation,
+    sequence: photo.sequence,
+    address: photo.address,
+    sessionId: photo.sessionId,
+    sessionName: photo.sessionName,
+    projectId: photo.projectId,
+    projectName: photo.projectName,
+    clientName: photo.clientName,
+    operatorName: photo.operatorName,
+    siteId: photo.siteId,
+    siteName: photo.siteName,
+    offSite: photo.offSite,
+    checklistItem: photo.checklistItem,
+    imageHash: photo.imageHash,
+    metadataHash: photo.metadataHash,
+    captureHash: photo.captureHash,
+    signature: photo.signature,
+    keyId: photo.keyId,
+    notes: photo.notes,
+    seq: head ? head.seq + 1 : 1,
+    prevHash: head ? head.hash : GENESIS_HASH
+  };
+  log.hash = await hashLogEntry(log);
+  
+  state.logs.unshift(log);
+  await saveLog(log);
+  saveChainHead(projectId, { seq: log.seq, hash: log.hash });
+  updateLogCount();
+  if (state.settings.trackLogging) await addCaptureTrackPoint(log);
+  updateSessionId();
+}
+
+// Compute SHA-256 of a string, bytes or Blob as hex
+async function sha256Hex(data) {
+  let buffer = data;
+  if (typeof data === 'string') buffer = new TextEncoder().encode(data);
+  else if (data instanceof Blob) buffer = await data.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Serialize a value as JSON with sorted keys (undefined fields dropped)
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Copy a record without the given fields
+function omitFields(record, fields) {
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// Compute metadata hash for a photo record
+function hashPhotoMetadata(photo) {
+  return sha256Hex(canonicalJson(omitFields(photo, PHOTO_UNHASHED_FIELDS)));
+}
+
+// Compute the capture hash printed in verification QR codes
+function hashCaptureStamp({ id, timestamp, latitude, longitude }) {
+  return sha256Hex(canonicalJson({ id, timestamp, latitude, longitude }));
+}
+
+// Compute entry hash for a log entry
+function hashLogEntry(log) {
+  return sha256Hex(canonicalJson(omitFields(log, LOG_UNHASHED_FIELDS)));
+}
+
+// Load chain heads for all projects (legacy single head belongs to the default project)
+function loadChainHeads() {
+  try {
+    const heads = JSON.parse(localStorage.getItem(CHAIN_HEAD_KEY)) || {};
+    return typeof heads.seq === 'number' ? { [DEFAULT_PROJECT_ID]: heads } : heads;
+  } catch (error) {
+    return {};
+  }
+}
+
+// Load chain head (last appended entry) of a project
+function loadChainHead(projectId = state.settings.activeProjectId) {
+  return loadChainHeads()[projectId] || null;
+}
+
+// Save or remove the chain head of a project
+function saveChainHead(projectId, head) {
+  const heads = loadChainHeads();
+  if (head) heads[projectId] = head;
+  else delete heads[projectId];
+  localStorage.setItem(CHAIN_HEAD_KEY, JSON.stringify(heads));
+}
+
+// Get chained log entries in append order
+function getChainedLogs(logs) {
+  return logs.filter(log => log.hash).sort((a, b) => a.seq - b.seq);
+}
+
+// Verify a project's log hash chain and the photos it covers
+// (this device's records, or the logs, photos, image hashes and chain heads of a backup)
+async function verifyLogChain(projectId = state.settings.activeProjectId, source = null) {
+  const logs = source ? source.logs.filter(log => getRecordProjectId(log) === projectId) : getProjectLogs(projectId);
+  const photos = source ? source.photos : state.photos;
+  const imageHash = photo => source ? source.imageHashes.get(photo.id) : sha256Hex(photo.imageBlob);
+  const chained = getChainedLogs(logs);
+  const result = { ok: true, checked: 0, legacy: logs.length - chained.length, photosChecked: 0, broken: null };
+  const fail = (log, reason) => {
+    result.ok = false;
+    result.broken = { id: log?.id || null, seq: log?.seq ?? null, reason };
+    return result;
+  };
+
+  let previous = null;
+  for (const log of chained) {
+    if (previous && log.seq !== previous.seq + 1) {
+      return fail(log, `Entries missing before this one (expected #${previous.seq + 1}, found #${log.seq})`);
+    }
+    if (log.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      return fail(log, 'Previous-hash link does not match the preceding entry');
+    }
+    if (await hashLogEntry(log) !== log.hash) {
+      return fail(log, 'Entry was edited (hash mismatch)');
+    }
+
+    const photo = photos.find(p => p.id === log.id);
+    if (photo) {
+      if (await imageHash(photo) !== log.imageHash) {
+        return fail(log, 'Image bytes do not match the logged hash');
+      }
+      if (await hashPhotoMetadata(photo) !== log.metadataHash) {
+        return fail(log, 'Photo metadata does not match the logged hash');
+      }
+      result.photosChecked++;
+    }
+    if (await verifyCaptureSignature(log) === false) {
+      return fail(log, 'Device signature is invalid');
+    }
+
+    result.checked++;
+    previous = log;
+  }
+
+  const head = source ? source.chainHeads?.[projectId] || null : loadChainHead(projectId);
+  if (head && (!previous || previous.seq !== head.seq || previous.hash !== head.hash)) {
+    return fail(previous, `Log truncated: last recorded entry was #${head.seq}`);
+  }
+
+  return result;
+}
+
+// Verify chain from the logs modal
+async function verifyChain() {
+  const panel = document.getElementById('chainStatus');
+  panel.classList.remove('hidden');
+  panel.className = 'mx-4 mt-4 rounded-xl p-3 text-xs flex-shrink-0 bg-slate-800 text-slate-300';
+  panel.textContent = 'Verifying chain...';
+
+  try {
+    const result = await verifyLogChain();
+    const legacyNote = result.legacy ? ` ${result.legacy} older entr${result.legacy > 1 ? 'ies' : 'y'} predate hashing.` : '';
+
+    if (result.ok) {
+      panel.className = 'mx-4 mt-4 rounded-xl p-3 text-xs flex-shrink-0 bg-emerald-600/20 text-emerald-300';
+      panel.textContent = `✓ Chain intact: ${result.checked} entries and ${result.photosChecked} photos verified.${legacyNote}`;
+      showToast('Log chain verified', 'success');
+    } else {
+      const { id, seq, reason } = result.broken;
+      panel.className = 'mx-4 mt-4 rounded-xl p-3 text-xs flex-shrink-0 bg-red-600/20 text-red-300';
+      panel.textContent = `✕ Chain broken at ${id ? `#${seq} ${id}` : 'the start'}: ${reason}.`;
+      document.querySelectorAll('[data-log-id]').forEach(el => {
+        el.classList.toggle('border-red-500', el.dataset.logId === id);
+      });
+      document.querySelector(`[data-log-id="${id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      showToast('Log chain broken', 'error');
+    }
+  } catch (error) {
+    console.error('Chain verification failed:', error);
+    panel.className = 'mx-4 mt-4 rounded-xl p-3 text-xs flex-shrink-0 bg-red-600/20 text-red-300';
+    panel.textContent = 'Verification failed: ' + error.message;
+  }
+}
+
+// Encode bytes as base64
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Decode base64 to bytes
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Load or create the device signing key pair
+async function initDeviceKey() {
+  if (!window.crypto?.subtle) {
+    console.error('WebCrypto unavailable - captures will not be signed');
+    showToast('Captures will not be signed (secure context required)', 'error');
+    return;
+  }
+
+  try {
+    let record = await dbGet(KEYS_STORE, DEVICE_KEY_ID);
+    if (!record) {
+      const { privateKey, publicKey } = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['sign', 'verify']
+      );
+      const spki = new Uint8Array(await crypto.subtle.exportKey('spki', publicKey));
+      const fingerprint = await sha256Hex(spki);
+      record = {
+        id: DEVICE_KEY_ID,
+        privateKey,
+        publicKey,
+        publicKeySpki: bytesToBase64(spki),
+        fingerprint,
+        keyId: fingerprint.substring(0, 16),
+        createdAt: new Date().toISOString()
+      };
+      await dbPut(KEYS_STORE, record);
+    }
+    state.deviceKey = record;
+  } catch (error) {
+    console.error('Failed to initialize signing key:', error);
+    showToast('Signing key unavailable - captures will not be signed', 'error');
+  }
+}
+
+// Data signed for a capture: image digest bound to metadata digest
+function getSignedPayload(record) {
+  return new TextEncoder().encode(`${record.imageHash}:${record.metadataHash}`);
+}
+
+// Sign a capture's image-plus-metadata digest with the device key
+async function signCapture(photo) {
+  await deviceKeyReady;
+  if (!state.deviceKey) return;
+
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    state.deviceKey.privateKey,
+    getSignedPayload(photo)
+  );
+  photo.signature = bytesToBase64(new Uint8Array(signature));
+  photo.keyId = state.deviceKey.keyId;
+}
+
+// Verify a capture signature against this device's public key
+async function verifyCaptureSignature(record) {
+  if (!record.signature || !state.deviceKey || record.keyId !== state.deviceKey.keyId) {
+    return null;
+  }
+  return crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    state.deviceKey.publicKey,
+    base64ToBytes(record.signature),
+    getSignedPayload(record)
+  );
+}
+
+// Format public key as PEM
+function getPublicKeyPem(record) {
+  const lines = record.publicKeySpki.match(/.{1,64}/g).join('\n');
+  return `-----BEGIN PUBLIC KEY-----\n${lines}\n-----END PUBLIC KEY-----`;
+}
+
+// Format fingerprint in groups of four
+function formatFingerprint(fingerprint) {
+  return fingerprint.toUpperCase().match(/.{1,4}/g).join(' ');
+}
+
+// Update signing key info in settings
+function updateDeviceKeyInfo() {
+  const panel = document.getElementById('deviceKeyInfo');
+  if (!panel) return;
+
+  const record = state.deviceKey;
+  if (!record) {
+    panel.innerHTML = `<p class="text-xs text-slate-500">Signing unavailable (requires HTTPS and WebCrypto)</p>`;
+    return;
+  }
+
+  panel.innerHTML = `
+    <div class="space-y-2 text-xs">
+      <p class="flex justify-between"><span class="text-slate-500">Key ID</span><span class="font-mono text-emerald-400">${record.keyId}</span></p>
+      <p class="flex justify-between"><span class="text-slate-500">Created</span><span class="text-slate-300">${new Date(record.createdAt).toLocaleString()}</span></p>
+      <p class="text-slate-500">Fingerprint (SHA-256)</p>
+      <p class="font-mono text-slate-300 break-all">${formatFingerprint(record.fingerprint)}</p>
+      <pre class="font-mono text-[10px] text-slate-400 bg-slate-900/50 rounded-lg p-2 overflow-x-auto">${getPublicKeyPem(record)}</pre>
+      <button onclick="exportPublicKey()" class="w-full py-2 bg-slate-700 hover:bg-slate-600 rounded-lg text-xs font-medium transition">
+        Export Public Key
+      </button>
+    </div>
+  `;
+}
+
+// Export device public key for auditors
+function exportPublicKey() {
+  const record = state.deviceKey;
+  if (!record) {
+    showToast('No signing key available', 'error');
+    return;
+  }
+
+  const data = {
+    keyId: record.keyId,
+    fingerprint: record.fingerprint,
+    algorithm: 'ECDSA P-256 with SHA-256',
+    signatureFormat: 'base64 of raw r||s (IEEE P1363)',
+    signedPayload: 'UTF-8 "<imageHash>:<metadataHash>"',
+    device: getDeviceInfo(),
+    createdAt: record.createdAt,
+    publicKeyPem: getPublicKeyPem(record)
+  };
+
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `tracecam-public-key-${record.keyId}.json`);
+  showToast('Public key exported!', 'success');
+}
+
+// Open IndexedDB
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PHOTOS_STORE)) {
+          db.createObjectStore(PHOTOS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(LOGS_STORE)) {
+          db.createObjectStore(LOGS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(KEYS_STORE)) {
+          db.createObjectStore(KEYS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(GEOCODE_STORE)) {
+          db.createObjectStore(GEOCODE_STORE, { keyPath: 'cell' });
+        }
+        if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+          db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(TEMPLATES_STORE)) {
+          db.createObjectStore(TEMPLATES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(TRACKS_STORE)) {
+          db.createObjectStore(TRACKS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(UPLOADS_STORE)) {
+          db.createObjectStore(UPLOADS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(CHECKLISTS_STORE)) {
+          db.createObjectStore(CHECKLISTS_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Run a request against an object store
+async function dbRequest(storeName, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Get a record by key
+function dbGet(storeName, key) {
+  return dbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+// Get all records from a store
+function dbGetAll(storeName) {
+  return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+// Put a record into a store
+function dbPut(storeName, value) {
+  return dbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+// Delete a record from a store
+function dbDelete(storeName, key) {
+  return dbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+// Delete many records from a store in one transaction
+function dbDeleteAll(storeName, keys) {
+  return dbRequest(storeName, 'readwrite', store => {
+    keys.forEach(key => store.delete(key));
+    return null;
+  });
+}
+
+// Clear a store
+function dbClear(storeName) {
+  return dbRequest(storeName, 'readwrite', store => store.clear());
+}
+
+// Initialize storage: migrate, load, request persistence
+async function initStorage() {
+  if (!('indexedDB' in window)) {
+    showToast('Storage unavailable - photos will not be kept', 'error');
+    return;
+  }
+
+  // A failed migration leaves the legacy data in place; what is already in IndexedDB still loads
+  const unmigrated = await migrateLocalStorage();
+  if (unmigrated > 0) {
+    showToast(`${unmigrated} older record${unmigrated === 1 ? '' : 's'} could not be moved to storage - kept for the next start`, 'error');
+  }
+
+  try {
+    await loadTemplates();
+    await loadChecklists();
+    await loadProjects();
+    await loadPhotos();
+    await loadLogs();
+    await loadSessions();
+    await loadTrackPoints();
+    await loadUploads();
+  } catch (error) {
+    console.error('Failed to initialize storage:', error);
+    showToast('Failed to open photo storage', 'error');
+  }
+
+  if (navigator.storage?.persist) {
+    try {
+      const persisted = await navigator.storage.persisted();
+      if (!persisted) await navigator.storage.persist();
+    } catch (error) {
+      console.error('Persistent storage request failed:', error);
+    }
+  }
+}
+
+// Migrate photos and logs from localStorage into IndexedDB; returns how many records could not be moved
+async function migrateLocalStorage() {
+  const photos = await migrateLocalStorageKey(PHOTOS_KEY, PHOTOS_STORE, ({ imageData, ...photo }) => {
+    const bytes = dataUrlToBytes(imageData);
+    return {
+      ...photo,
+      imageBlob: new Blob([bytes], { type: 'image/jpeg' }),
+      fileSizeKB: Math.round(bytes.length / 1024)
+    };
+  });
+  const logs = await migrateLocalStorageKey(LOGS_KEY, LOGS_STORE, log => log);
+  return photos + logs;
+}
+
+// Move one localStorage list into a store record by record; records that fail stay in localStorage
+async function migrateLocalStorageKey(key, storeName, toRecord) {
+  const saved = localStorage.getItem(key);
+  if (!saved) return 0;
+
+  let records;
+  try {
+    records = JSON.parse(saved);
+    if (!Array.isArray(records)) throw new Error('not a list');
+  } catch (error) {
+    console.error(`Legacy ${key} data is unreadable:`, error);
+    return 1;
+  }
+
+  const failed = [];
+  for (const record of records) {
+    try {
+      await dbPut(storeName, toRecord(record));
+    } catch (error) {
+      console.error(`Failed to migrate ${record?.id || 'record'} from ${key}:`, error);
+      failed.push(record);
+    }
+  }
+
+  try {
+    if (failed.length) localStorage.setItem(key, JSON.stringify(failed));
+    else localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Failed to update ${key}:`, error);
+  }
+  return failed.length;
+}
+
+// Sort records newest first
+function sortByNewest(records) {
+  return records.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+}
+
+// Save a photo to IndexedDB
+async function savePhoto(photo) {
+  try {
+    await dbPut(PHOTOS_STORE, photo);
+  } catch (error) {
+    console.error('Failed to save photo:', error);
+    // Never drop photos: keep it in memory and tell the user
+    if (error?.name === 'QuotaExceededError') {
+      showToast('Storage full! Export or delete photos - this one is not stored yet', 'error');
+    } else {
+      showToast('Failed to store photo - export it before closing', 'error');
+    }
+    return;
+  }
+  checkStorageQuota();
+}
+
+// Load photos from IndexedDB
+async function loadPhotos() {
+  try {
+    state.photos = sortByNewest(await dbGetAll(PHOTOS_STORE));
+    updatePhotoCount();
+  } catch (error) {
+    console.error('Failed to load photos:', error);
+  }
+}
+
+// Save a log entry to IndexedDB
+async function saveLog(log) {
+  await dbPut(LOGS_STORE, log);
+}
+
+// Load logs from IndexedDB
+async function loadLogs() {
+  try {
+    state.logs = sortByNewest(await dbGetAll(LOGS_STORE));
+    updateLogCount();
+  } catch (error) {
+    console.error('Failed to load logs:', error);
+  }
+}
+
+// Format bytes for display
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return (bytes / 1024 / 1024 / 1024).toFixed(1) + ' GB';
+  if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  return Math.round(bytes / 1024) + ' KB';
+}
+
+// Warn when storage is nearly full
+async function checkStorageQuota() {
+  if (!navigator.storage?.estimate) return;
+  const { usage, quota } = await navigator.storage.estimate();
+  if (quota && usage / quota > 0.9) {
+    showToast(`Storage ${Math.round(usage / quota * 100)}% full - export and delete photos soon`, 'error');
+  }
+}
+
+// Update storage usage in settings
+async function updateStorageInfo() {
+  const panel = document.getElementById('storageInfo');
+  if (!panel) return;
+
+  if (!navigator.storage?.estimate) {
+    panel.innerHTML = `<p class="text-xs text-slate-500">Storage estimate not supported</p>`;
+    return;
+  }
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  const percent = quota ? Math.min(100, usage / quota * 100) : 0;
+
+  panel.innerHTML = `
+    <div class="space-y-2">
+      <div class="flex justify-between text-sm">
+        <span class="text-slate-300">${formatBytes(usage)} used</span>
+        <span class="text-slate-500">of ${formatBytes(quota)}</span>
+      </div>
+      <div class="h-2 bg-slate-700 rounded-full overflow-hidden">
+        <div class="h-full ${percent > 90 ? 'bg-red-500' : 'bg-emerald-500'}" style="width: ${percent.toFixed(1)}%"></div>
+      </div>
+      <p class="text-xs text-slate-500">${state.projects.length} projects • ${state.photos.length} photos • ${state.logs.length} log entries</p>
+      <div class="flex items-center justify-between">
+        <p class="text-xs ${persisted ? 'text-emerald-400' : 'text-yellow-400'}">${persisted ? 'Persistent storage granted' : 'Storage may be cleared by the browser'}</p>
+        ${persisted ? '' : '<button onclick="requestPersistentStorage()" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Request</button>'}
+      </div>
+    </div>
+  `;
+}
+
+// Request persistent storage
+async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return;
+  const granted = await navigator.storage.persist();
+  showToast(granted ? 'Persistent storage granted' : 'Browser declined persistent storage', granted ? 'success' : 'error');
+  updateStorageInfo();
+}
+
+// Save settings
+function saveSettings() {
+  const uploadUrl = document.getElementById('uploadUrl').value.trim();
+  if (document.getElementById('uploadEnabled').checked && !isValidUploadUrl(uploadUrl)) {
+    showToast('Upload endpoint must be an HTTPS URL', 'error');
+    return;
+  }
+
+  state.settings = {
+    ...state.settings,
+    autoSave: document.getElementById('autoSave').checked,
+    fullResolution: document.getElementById('fullResolution')?.checked ?? true,
+    showLocationDecipher: document.getElementById('showLocationDecipher')?.checked ?? true,
+    operatorName: document.getElementById('operatorName').value.trim(),
+    geocoderProvider: document.getElementById('geocoderProvider').value,
+    geocoderUrl: document.getElementById('geocoderUrl').value.trim(),
+    geocoderLanguage: document.getElementById('geocoderLanguage').value.trim(),
+    geocoderMinInterval: Math.max(1, parseInt(document.getElementById('geocoderMinInterval').value, 10) || 10),
+    notePrompt: document.getElementById('notePrompt').checked,
+    gpsMaxAccuracy: Math.max(1, parseInt(document.getElementById('gpsMaxAccuracy').value, 10) || 50),
+    gpsMaxAge: Math.max(1, parseInt(document.getElementById('gpsMaxAge').value, 10) || 30),
+    gpsGateMode: document.getElementById('gpsGateMode').value,
+    siteGateMode: document.getElementById('siteGateMode').value,
+    gpsAverageSeconds: Math.max(0, parseInt(document.getElementById('gpsAverageSeconds').value, 10) || 0),
+    magneticDeclination: parseDeclination(document.getElementById('magneticDeclination').value),
+    burstCount: Math.min(50, Math.max(2, parseInt(document.getElementById('burstCount').value, 10) || 5)),
+    intervalCount: Math.max(2, parseInt(document.getElementById('intervalCount').value, 10) || 10),
+    intervalSeconds: Math.max(1, parseInt(document.getElementById('intervalSeconds').value, 10) || 30),
+    timelapseSeconds: Math.max(1, parseInt(document.getElementById('timelapseSeconds').value, 10) || 60),
+    trackLogging: document.getElementById('trackLogging').checked,
+    trackMinDistance: Math.max(0, parseInt(document.getElementById('trackMinDistance').value, 10) || 0),
+    trackMinInterval: Math.max(1, parseInt(document.getElementById('trackMinInterval').value, 10) || 15),
+    trackLowBattery: Math.min(100, Math.max(0, parseInt(document.getElementById('trackLowBattery').value, 10) || 0)),
+    uploadEnabled: document.getElementById('uploadEnabled').checked,
+    uploadUrl,
+    uploadToken: document.getElementById('uploadToken').value.trim()
+  };
+  
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  liveGeocodeCell = null;
+  backfillAddresses();
+  updateCaptureModeButtons();
+  updateTrackButton();
+  updateGeoWatch();
+  saveUploadConfig();
+  scheduleUploads(0);
+  showToast('Settings saved', 'success');
+  closeSettings();
+}
+
+// Parse declination input (blank = unknown)
+function parseDeclination(value) {
+  const declination = parseFloat(value);
+  return isNaN(declination) ? null : Math.max(-180, Math.min(180, declination));
+}
+
+// Load settings
+function loadSettings() {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    if (saved) {
+      state.settings = { ...state.settings, ...JSON.parse(saved) };
+    }
+    
+    document.getElementById('autoSave').checked = state.settings.autoSave ?? true;
+    const fullResEl = document.getElementById('fullResolution');
+    if (fullResEl) fullResEl.checked = state.settings.fullResolution ?? true;
+    const locDecEl = document.getElementById('showLocationDecipher');
+    if (locDecEl) locDecEl.checked = state.settings.showLocationDecipher ?? true;
+    document.getElementById('operatorName').value = state.settings.operatorName || '';
+    document.getElementById('geocoderProvider').value = state.settings.geocoderProvider || 'off';
+    document.getElementById('geocoderUrl').value = state.settings.geocoderUrl || '';
+    document.getElementById('geocoderLanguage').value = state.settings.geocoderLanguage || '';
+    document.getElementById('geocoderMinInterval').value = state.settings.geocoderMinInterval || 10;
+    document.getElementById('notePrompt').checked = state.settings.notePrompt ?? true;
+    document.getElementById('gpsMaxAccuracy').value = state.settings.gpsMaxAccuracy;
+    document.getElementById('gpsMaxAge').value = state.settings.gpsMaxAge;
+    document.getElementById('gpsGateMode').value = state.settings.gpsGateMode;
+    document.getElementById('siteGateMode').value = state.settings.siteGateMode;
+    document.getElementById('gpsAverageSeconds').value = state.settings.gpsAverageSeconds;
+    document.getElementById('magneticDeclination').value = state.settings.magneticDeclination ?? '';
+    document.getElementById('burstCount').value = state.settings.burstCount;
+    document.getElementById('intervalCount').value = state.settings.intervalCount;
+    document.getElementById('intervalSeconds').value = state.settings.intervalSeconds;
+    document.getElementById('timelapseSeconds').value = state.settings.timelapseSeconds;
+    document.getElementById('trackLogging').checked = state.settings.trackLogging;
+    document.getElementById('trackMinDistance').value = state.settings.trackMinDistance;
+    document.getElementById('trackMinInterval').value = state.settings.trackMinInterval;
+    document.getElementById('trackLowBattery').value = state.settings.trackLowBattery;
+    document.getElementById('uploadEnabled').checked = state.settings.uploadEnabled;
+    document.getElementById('uploadUrl').value = state.settings.uploadUrl;
+    document.getElementById('uploadToken').value = state.settings.uploadToken;
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    document.getElementById('autoSave').checked = true;
+  }
+}
+
+// Update photo count badge
+function updatePhotoCount() {
+  const badge = document.getElementById('photoCount');
+  const summary = document.getElementById('gallerySummary');
+  const count = getProjectPhotos().length;
+  
+  if (count > 0) {
+    badge.textContent = count;
+    badge.classList.remove('hidden');
+    summary.textContent = `${count} photo${count > 1 ? 's' : ''}`;
+  } else {
+    badge.classList.add('hidden');
+    summary.textContent = 'No photos';
+  }
+}
+
+// Update log count badge
+function updateLogCount() {
+  const badge = document.getElementById('logCount');
+  const summary = document.getElementById('logsSummary');
+  const count = getProjectLogs().length;
+  
+  if (count > 0) {
+    badge.textContent = count;
+    badge.classList.remove('hidden');
+    summary.textContent = `${count} capture${count > 1 ? 's' : ''} logged`;
+  } else {
+    badge.classList.add('hidden');
+    summary.textContent = 'No captures yet';
+  }
+}
+
+// Save photo to device
+async function saveToDevice(photo) {
+  const captureFile = getCaptureFile(photo);
+  try {
+    // Try File System Access API
+    if ('showSaveFilePicker' in window) {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: captureFile.name,
+        types: [{
+          description: captureFile.description,
+          accept: { [captureFile.mimeType]: [`.${captureFile.extension}`] }
+        }]
+      });
+      
+      const writable = await handle.createWritable();
+      await writable.write(await getPhotoBlob(photo));
+      await writable.close();
+      
+      showToast(`${captureFile.label} saved! 💾`, 'success');
+      return;
+    }
+    
+    // Try Web Share API
+    if (navigator.share && navigator.canShare) {
+      const file = new File([await getPhotoBlob(photo)], captureFile.name, { type: captureFile.mimeType });
+      
+      if (navigator.canShare({ files: [file] })) {
+        await navigator.share({
+          files: [file],
+          title: `TraceCam ${photo.id}`,
+        });
+        showToast(`${captureFile.label} saved! 📸`, 'success');
+        return;
+      }
+    }
+    
+    // Fallback: direct download
+    await downloadPhotoDirect(photo);
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      showToast(`${captureFile.label} captured! 📸`, 'success');
+    } else {
+      console.error('Save error:', error);
+      showToast(`${captureFile.label} captured (saved to app)`, 'success');
+    }
+  }
+}
+
+// Direct download
+async function downloadPhotoDirect(photo) {
+  const captureFile = getCaptureFile(photo);
+  const url = URL.createObjectURL(await getPhotoBlob(photo));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = captureFile.name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  showToast(`${captureFile.label} downloaded! 📥`, 'success');
+}
+
+// CRC-32 lookup table
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Update a running CRC-32 with bytes
+function crc32Update(crc, bytes) {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Compute CRC-32 of a Blob by streaming it chunk by chunk
+async function crc32Blob(blob) {
+  const reader = blob.stream().getReader();
+  let crc = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return crc;
+    crc = crc32Update(crc, value);
+  }
+}
+
+// Convert date to MS-DOS time and date fields
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Create a streaming ZIP writer (stored entries) that writes to a sink
+function createZipWriter(sink) {
+  const entries = [];
+  let offset = 0;
+
+  const write = async (chunk) => {
+    await sink.write(chunk);
+    offset += chunk instanceof Blob ? chunk.size : chunk.length;
+    if (offset > 0xFFFFFFFF) {
+      throw new Error('Bundle exceeds 4 GB - export fewer photos at a time');
+    }
+  };
+
+  return {
+    // Add a file from a Blob, bytes or string
+    async addFile(name, data, date = new Date()) {
+      const blob = data instanceof Blob ? data : new Blob([data]);
+      const nameBytes = new TextEncoder().encode(name);
+      const crc = await crc32Blob(blob);
+      const { time, date: dosDate } = toDosDateTime(date);
+
+      const header = new Uint8Array(30 + nameBytes.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034B50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 0x0800, true);
+      view.setUint16(8, 0, true);
+      view.setUint16(10, time, true);
+      view.setUint16(12, dosDate, true);
+      view.setUint32(14, crc, true);
+      view.setUint32(18, blob.size, true);
+      view.setUint32(22, blob.size, true);
+      view.setUint16(26, nameBytes.length, true);
+      view.setUint16(28, 0, true);
+      header.set(nameBytes, 30);
+
+      entries.push({ nameBytes, crc, size: blob.size, time, date: dosDate, offset });
+      await write(header);
+      await write(blob);
+    },
+
+    // Write the central directory and close the sink
+    async finish() {
+      const start = offset;
+      for (const entry of entries) {
+        const record = new Uint8Array(46 + entry.nameBytes.length);
+        const view = new DataView(record.buffer);
+        view.setUint32(0, 0x02014B50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 20, true);
+        view.setUint16(8, 0x0800, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, entry.time, true);
+        view.setUint16(14, entry.date, true);
+        view.setUint32(16, entry.crc, true);
+        view.setUint32(20, entry.size, true);
+        view.setUint32(24, entry.size, true);
+        view.setUint16(28, entry.nameBytes.length, true);
+        view.setUint32(42, entry.offset, true);
+        record.set(entry.nameBytes, 46);
+        await write(record);
+      }
+
+      const end = new Uint8Array(22);
+      const view = new DataView(end.buffer);
+      view.setUint32(0, 0x06054B50, true);
+      view.setUint16(8, entries.length, true);
+      view.setUint16(10, entries.length, true);
+      view.setUint32(12, offset - start, true);
+      view.setUint32(16, start, true);
+      await write(end);
+
+      return sink.close();
+    }
+  };
+}
+
+// Open a sink for the bundle: a file on disk when supported, else Blob parts
+async function openBundleSink(filename) {
+  if ('showSaveFilePicker' in window) {
+    const handle = await window.showSaveFilePicker({
+      suggestedName: filename,
+      types: [{
+        description: 'ZIP archive',
+        accept: { 'application/zip': ['.zip'] }
+      }]
+    });
+    const writable = await handle.createWritable();
+    return {
+      write: (chunk) => writable.write(chunk),
+      close: async () => {
+        await writable.close();
+        return null;
+      },
+      abort: () => writable.abort()
+    };
+  }
+
+  // Blob parts reference stored photos without copying them into memory
+  const parts = [];
+  return {
+    write: async (chunk) => {
+      parts.push(chunk);
+    },
+    close: async () => new Blob(parts, { type: 'application/zip' }),
+    abort: async () => {
+      parts.length = 0;
+    }
+  };
+}
+
+// Build the bundle manifest
+function buildBundleManifest(project, session, photos, logs, files) {
+  return {
+    generator: 'TraceCam',
+    exportedAt: new Date().toISOString(),
+    project,
+    session,
+    checklist: getProjectChecklist(project),
+    device: getDeviceInfo(),
+    signingKey: state.deviceKey ? {
+      keyId: state.deviceKey.keyId,
+      fingerprint: state.deviceKey.fingerprint,
+      publicKeyPem: getPublicKeyPem(state.deviceKey)
+    } : null,
+    chainHead: loadChainHead(project.id),
+    photoCount: photos.length,
+    logCount: logs.length,
+    photos: photos.map(photo => ({
+      file: files[photo.id].name,
+      fileSizeBytes: files[photo.id].size,
+      sidecarFiles: files[photo.id].sidecars,
+      ...omitFields(photo, ['imageBlob', 'posterBlob'])
+    }))
+  };
+}
+
+// Export a project's (or one session's) photos, manifest, CSV log and hashes as one ZIP
+async function exportBundle(projectId = state.settings.activeProjectId, sessionId = null) {
+  const project = state.projects.find(p => p.id === projectId) || getActiveProject();
+  const inScope = record => !sessionId || record.sessionId === sessionId;
+  const projectPhotos = getProjectPhotos(project.id).filter(inScope);
+  const logs = getProjectLogs(project.id).filter(inScope);
+  if (projectPhotos.length === 0 && logs.length === 0) {
+    showToast('Nothing to export', 'error');
+    return;
+  }
+
+  const session = sessionId ? summarizeSession(sessionId) : null;
+  const slug = (session ? `${project.name}-${session.name || sessionId}` : project.name).replace(/[^\w-]+/g, '_');
+  const filename = `tracecam-bundle-${slug}-${new Date().toISOString().split('T')[0]}.zip`;
+  let sink;
+  try {
+    sink = await openBundleSink(filename);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Bundle export failed:', error);
+      showToast('Export failed: ' + error.message, 'error');
+    }
+    return;
+  }
+
+  const zip = createZipWriter(sink);
+  const photos = [...projectPhotos].reverse();
+  const files = {};
+  const checksums = [];
+
+  try {
+    for (let i = 0; i < photos.length; i++) {
+      const photo = photos[i];
+      const name = `photos/${getCaptureFile(photo).name}`;
+      const blob = await getPhotoBlob(photo);
+      await zip.addFile(name, blob, new Date(photo.timestamp));
+      files[photo.id] = { name, size: blob.size };
+
+      // Video clips travel with their GPS track and subtitles
+      if (photo.track) {
+        files[photo.id].sidecars = [];
+        for (const [extension, sidecar] of Object.entries(TRACK_SIDECARS)) {
+          const sidecarName = `photos/${photo.id}.${extension}`;
+          await zip.addFile(sidecarName, sidecar.build(photo), new Date(photo.timestamp));
+          files[photo.id].sidecars.push(sidecarName);
+        }
+      }
+
+      // Stored hashes cover the exact bytes only when no metadata had to be added
+      if (photo.imageHash && blob === photo.imageBlob) {
+        checksums.push(`${photo.imageHash}  ${name}`);
+      }
+      if ((i + 1) % 25 === 0) {
+        showToast(`Bundling ${i + 1}/${photos.length} photos...`);
+      }
+    }
+
+    await zip.addFile('manifest.json', JSON.stringify(buildBundleManifest(project, session, photos, logs, files), null, 2));
+    await zip.addFile('logs.csv', buildLogsCsv(logs));
+    const track = getProjectTrack(project.id).filter(inScope);
+    if (track.length) {
+      await zip.addFile('track.gpx', buildLogsGpx(logs, { track, name: session?.name || project.name }));
+    }
+    if (checksums.length) {
+      await zip.addFile('SHA256SUMS', checksums.join('\n') + '\n');
+    }
+
+    const blob = await zip.finish();
+    if (blob) downloadBlob(blob, filename);
+    showToast(`Bundle exported (${photos.length} photos)! 📦`, 'success');
+  } catch (error) {
+    console.error('Bundle export failed:', error);
+    await sink.abort?.();
+    showToast('Export failed: ' + error.message, 'error');
+  }
+}
+
+// Derive the AES-GCM key of an encrypted backup from its passphrase
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Encrypt a backup entry (12-byte IV followed by the ciphertext)
+async function encryptBackupEntry(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = data instanceof Blob ? await data.arrayBuffer() : new TextEncoder().encode(data);
+  return new Blob([iv, await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain)]);
+}
+
+// Decrypt a backup entry; fails on a wrong passphrase or altered bytes
+async function decryptBackupEntry(key, blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, 12) }, key, bytes.subarray(12));
+}
+
+// Write a full backup: settings, chain heads, projects, templates, sessions, tracks, logs and every capture
+async function createBackup() {
+  if (state.photos.length === 0 && state.logs.length === 0) {
+    showToast('Nothing to back up', 'error');
+    return;
+  }
+
+  const passphrase = document.getElementById('backupPassphrase').value;
+  const filename = `tracecam-backup-${new Date().toISOString().split('T')[0]}.zip`;
+  let sink;
+  try {
+    sink = await openBundleSink(filename);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Backup failed:', error);
+      showToast('Backup failed: ' + error.message, 'error');
+    }
+    return;
+  }
+
+  const zip = createZipWriter(sink);
+  try {
+    const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(), encryption: null };
+    let key = null;
+    if (passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      key = await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+      header.encryption = { cipher: 'AES-GCM-256', kdf: 'PBKDF2-SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) };
+    }
+    await zip.addFile('backup.json', JSON.stringify(header, null, 2));
+
+    // Binary files first; encrypted backups use neutral names so IDs stay hidden
+    let fileCount = 0;
+    const addBlob = async (name, blob, date) => {
+      const entryName = key ? `files/${++fileCount}.bin` : `files/${name}`;
+      await zip.addFile(entryName, key ? await encryptBackupEntry(key, blob) : blob, date);
+      return { name: entryName, mimeType: blob.type, size: blob.size, sha256: await sha256Hex(blob) };
+    };
+
+    const templates = [];
+    for (const template of state.templates) {
+      templates.push({
+        record: omitFields(template, ['logo']),
+        files: template.logo ? { logo: await addBlob(`${template.id}-logo`, template.logo) } : {}
+      });
+    }
+
+    const photos = [];
+    for (let i = 0; i < state.photos.length; i++) {
+      const photo = state.photos[i];
+      const date = new Date(photo.timestamp);
+      const files = { image: await addBlob(getCaptureFile(photo).name, photo.imageBlob, date) };
+      if (photo.posterBlob) files.poster = await addBlob(`${photo.id}-poster.jpg`, photo.posterBlob, date);
+      photos.push({ record: omitFields(photo, ['imageBlob', 'posterBlob']), files });
+      if ((i + 1) % 25 === 0) {
+        showToast(`Backing up ${i + 1}/${state.photos.length} photos...`);
+      }
+    }
+
+    // The upload token only travels inside encrypted backups
+    const data = JSON.stringify({
+      settings: key ? state.settings : { ...state.settings, uploadToken: '' },
+      chainHeads: loadChainHeads(),
+      projects: state.projects,
+      templates,
+      checklists: state.checklists,
+      sessions: state.sessions,
+      trackPoints: state.trackPoints,
+      logs: state.logs,
+      photos
+    });
+    await zip.addFile(key ? 'data.json.enc' : 'data.json', key ? await encryptBackupEntry(key, data) : data);
+
+    const blob = await zip.finish();
+    if (blob) downloadBlob(blob, filename);
+    showToast(`Backup saved (${photos.length} photos${key ? ', encrypted' : ''})! 💾`, 'success');
+  } catch (error) {
+    console.error('Backup failed:', error);
+    await sink.abort?.();
+    showToast('Backup failed: ' + error.message, 'error');
+  }
+}
+
+// Read the central directory of a stored (uncompressed) ZIP into entries by name
+async function readZipEntries(file) {
+  const tailSize = Math.min(file.size, 22 + 0xFFFF);
+  const tail = new Uint8Array(await file.slice(file.size - tailSize).arrayBuffer());
+  let end = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail[i] === 0x50 && tail[i + 1] === 0x4B && tail[i + 2] === 0x05 && tail[i + 3] === 0x06) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Not a ZIP file');
+
+  const endView = new DataView(tail.buffer, end);
+  const count = endView.getUint16(10, true);
+  const dirSize = endView.getUint32(12, true);
+  const dirOffset = endView.getUint32(16, true);
+  const dir = new Uint8Array(await file.slice(dirOffset, dirOffset + dirSize).arrayBuffer());
+  const view = new DataView(dir.buffer);
+  const entries = new Map();
+
+  for (let i = 0, pos = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== 0x02014B50) throw new Error('Damaged ZIP directory');
+    const method = view.getUint16(pos + 10, true);
+    const crc = view.getUint32(pos + 16, true);
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = new TextDecoder().decode(dir.subarray(pos + 46, pos + 46 + nameLength));
+    entries.set(name, { method, crc, size, offset });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Get a ZIP entry's bytes as a Blob, checking its CRC
+async function readZipEntry(file, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) throw new Error(`${name} is missing`);
+  if (entry.method !== 0) throw new Error(`${name} is compressed - not a TraceCam backup`);
+
+  const local = new DataView(await file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+  const start = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+  const blob = file.slice(start, start + entry.size);
+  if (await crc32Blob(blob) !== entry.crc) throw new Error(`${name} is damaged (CRC mismatch)`);
+  return blob;
+}
+
+// Read, decrypt and verify a backup; nothing is stored yet. Photos are checked one at a time
+// and come back without their files, which readPhoto reads again when they are written
+async function readBackup(file, passphrase) {
+  const entries = await readZipEntries(file);
+  const header = JSON.parse(await (await readZipEntry(file, entries, 'backup.json')).text());
+  if (header.format !== BACKUP_FORMAT) throw new Error('Not a TraceCam backup');
+  if (header.version > BACKUP_VERSION) throw new Error('Backup was made by a newer TraceCam version');
+
+  let key = null;
+  if (header.encryption) {
+    if (!passphrase) throw new Error('This backup is encrypted - enter its passphrase');
+    key = await deriveBackupKey(passphrase, base64ToBytes(header.encryption.salt), header.encryption.iterations);
+  }
+  const readEntry = async (name, mimeType) => {
+    const blob = await readZipEntry(file, entries, name);
+    return key ? new Blob([await decryptBackupEntry(key, blob)], { type: mimeType }) : blob.slice(0, blob.size, mimeType);
+  };
+
+  let data;
+  try {
+    data = JSON.parse(await (await readEntry(key ? 'data.json.enc' : 'data.json', 'application/json')).text());
+  } catch (error) {
+    throw new Error(key ? 'Wrong passphrase or damaged backup' : 'Backup data is damaged');
+  }
+
+  // Every file and record must match its hashes before anything is restored
+  const problems = [];
+  const readFile = async (part, info) => {
+    const blob = await readEntry(info.name, info.mimeType);
+    if (await sha256Hex(blob) !== info.sha256) throw new Error(`${part} hash mismatch`);
+    return blob;
+  };
+
+  const templates = [];
+  for (const { record, files } of data.templates) {
+    try {
+      templates.push(files.logo ? { ...record, logo: await readFile('logo', files.logo) } : record);
+    } catch (error) {
+      problems.push(`Template ${record.name}: ${error.message}`);
+    }
+  }
+
+  const photos = [];
+  const photoFiles = new Map();
+  const imageHashes = new Map();
+  for (const { record, files } of data.photos) {
+    try {
+      await readFile('image', files.image);
+      if (files.poster) await readFile('poster', files.poster);
+      if (record.imageHash && files.image.sha256 !== record.imageHash) throw new Error('image does not match its capture hash');
+      if (record.metadataHash && await hashPhotoMetadata(record) !== record.metadataHash) throw new Error('metadata was edited');
+      photos.push(record);
+      photoFiles.set(record.id, files);
+      imageHashes.set(record.id, files.image.sha256);
+    } catch (error) {
+      problems.push(`${record.id}: ${error.message}`);
+    }
+  }
+  // Each project's chain must be complete and linked, not just made of valid entries
+  const projectIds = new Set(data.logs.filter(log => log.hash).map(getRecordProjectId));
+  for (const projectId of projectIds) {
+    const result = await verifyLogChain(projectId, { logs: data.logs, photos, imageHashes, chainHeads: data.chainHeads });
+    if (!result.ok) {
+      const { id, seq, reason } = result.broken;
+      problems.push(`Log chain of ${data.projects.find(p => p.id === projectId)?.name || projectId} broken at ${id ? `#${seq} ${id}` : 'the start'}: ${reason}`);
+    }
+  }
+
+  const readPhoto = async record => {
+    const files = photoFiles.get(record.id);
+    const photo = { ...record, imageBlob: await readFile('image', files.image) };
+    if (files.poster) photo.posterBlob = await readFile('poster', files.poster);
+    return photo;
+  };
+  const photoBytes = record => {
+    const files = photoFiles.get(record.id);
+    return files.image.size + (files.poster?.size || 0);
+  };
+
+  return { header, data: { ...data, templates, photos }, problems, readPhoto, photoBytes };
+}
+
+// Work out what a restore adds; records already on this device are skipped by ID
+function planRestore({ data }) {
+  const newOnly = (records, existing) => {
+    const ids = new Set(existing.map(record => record.id));
+    return records.filter(record => !ids.has(record.id));
+  };
+  // A device without captures takes the backup as is, including settings and its default project
+  const fresh = state.photos.length === 0 && state.logs.length === 0;
+  const plan = {
+    photos: newOnly(data.photos, state.photos),
+    logs: newOnly(data.logs, state.logs),
+    projects: fresh ? data.projects : newOnly(data.projects, state.projects),
+    templates: newOnly(data.templates, state.templates),
+    checklists: newOnly(data.checklists || [], state.checklists),
+    sessions: newOnly(data.sessions, state.sessions),
+    trackPoints: newOnly(data.trackPoints, state.trackPoints),
+    settings: fresh ? data.settings : null,
+    chainHeads: {}
+  };
+  plan.duplicates = data.photos.length - plan.photos.length;
+
+  // Adopt a project's chain head when this device has no chain for it yet or the backup continues it
+  // (it holds this device's head entry); a separate chain under the same project ID, such as the
+  // default project of another device, cannot be merged and blocks the restore
+  const localHeads = loadChainHeads();
+  plan.conflicts = [];
+  new Set(plan.logs.filter(log => log.hash).map(getRecordProjectId)).forEach(projectId => {
+    const local = localHeads[projectId];
+    if (!local || data.logs.some(log => log.hash === local.hash)) {
+      if (data.chainHeads?.[projectId]) plan.chainHeads[projectId] = data.chainHeads[projectId];
+    } else {
+      plan.conflicts.push(state.projects.find(p => p.id === projectId)?.name || projectId);
+    }
+  });
+  return plan;
+}
+
+// Check that a restore fits into the storage left on this device
+async function hasRoomForRestore(bytes) {
+  if (!navigator.storage?.estimate) return true;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return !quota || quota - usage >= bytes;
+}
+
+// Put records into several stores in one transaction
+async function dbPutStores(recordsByStore) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(Object.keys(recordsByStore), 'readwrite');
+    Object.entries(recordsByStore).forEach(([storeName, values]) => {
+      const store = tx.objectStore(storeName);
+      values.forEach(value => store.put(value));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Restore a backup picked in settings
+async function handleRestoreFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  showToast('Checking backup...');
+  let backup;
+  try {
+    backup = await readBackup(file, document.getElementById('backupPassphrase').value);
+  } catch (error) {
+    console.error('Restore failed:', error);
+    showToast('Restore failed: ' + error.message, 'error');
+    return;
+  }
+  if (backup.problems.length) {
+    console.error('Backup integrity problems:', backup.problems);
+    showToast(`Backup failed integrity check (${backup.problems.length} problem${backup.problems.length === 1 ? '' : 's'}): ${backup.problems[0]}`, 'error');
+    return;
+  }
+
+  const plan = planRestore(backup);
+  if (plan.conflicts.length) {
+    showToast(`Cannot restore: ${plan.conflicts.join(', ')} already has a different log chain on this device (same project ID from another device)`, 'error');
+    return;
+  }
+  const added = plan.photos.length + plan.logs.length + plan.projects.length + plan.templates.length + plan.checklists.length + plan.sessions.length + plan.trackPoints.length;
+  if (added === 0) {
+    showToast(`Nothing new in this backup (${plan.duplicates} photos already here)`);
+    return;
+  }
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const summary = [
+    `Restore backup from ${new Date(backup.header.createdAt).toLocaleString()}?`,
+    `${count(plan.photos.length, 'photo')}, ${plan.logs.length} log entr${plan.logs.length === 1 ? 'y' : 'ies'}, ${count(plan.projects.length, 'project')} and ${count(plan.sessions.length, 'session')} will be added.`,
+    plan.duplicates ? `${plan.duplicates} photos already on this device will be skipped.` : '',
+    plan.settings ? 'Settings will be restored too.' : 'Current settings are kept.'
+  ].filter(Boolean).join('\n\n');
+  if (!confirm(summary)) return;
+
+  const bytes = plan.photos.reduce((sum, photo) => sum + backup.photoBytes(photo), 0);
+  if (!await hasRoomForRestore(bytes)) {
+    showToast(`Not enough storage to restore ${formatBytes(bytes)} of photos - free up space first`, 'error');
+    return;
+  }
+
+  // Photos are read and written in batches so a large (encrypted) backup never sits in memory at once;
+  // if anything fails, the photos written so far are removed again
+  const written = [];
+  try {
+    for (let i = 0; i < plan.photos.length; i += RESTORE_BATCH_SIZE) {
+      const batch = [];
+      for (const record of plan.photos.slice(i, i + RESTORE_BATCH_SIZE)) {
+        batch.push(await backup.readPhoto(record));
+      }
+      await dbPutStores({ [PHOTOS_STORE]: batch });
+      written.push(...batch.map(photo => photo.id));
+      showToast(`Restoring ${written.length}/${plan.photos.length} photos...`);
+    }
+    await dbPutStores({
+      [LOGS_STORE]: plan.logs,
+      [PROJECTS_STORE]: plan.projects,
+      [TEMPLATES_STORE]: plan.templates,
+      [CHECKLISTS_STORE]: plan.checklists,
+      [SESSIONS_STORE]: plan.sessions,
+      [TRACKS_STORE]: plan.trackPoints
+    });
+  } catch (error) {
+    console.error('Restore failed:', error);
+    await dbDeleteAll(PHOTOS_STORE, written).catch(cleanupError => console.error('Failed to remove restored photos:', cleanupError));
+    showToast('Restore failed: ' + error.message, 'error');
+    return;
+  }
+
+  Object.entries(plan.chainHeads).forEach(([projectId, head]) => saveChainHead(projectId, head));
+  if (plan.settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(plan.settings));
+    loadSettings();
+    saveUploadConfig();
+  }
+  await loadTemplates();
+  await loadChecklists();
+  await loadProjects();
+  await loadPhotos();
+  await loadLogs();
+  await loadSessions();
+  await loadTrackPoints();
+  updatePhotoCount();
+  updateLogCount();
+  updateProjectSwitcher();
+  updateStorageInfo();
+  showToast(`Restored ${plan.photos.length} photos and ${plan.logs.length} log entries`, 'success');
+}
+
+// Show report options for a project (optionally preselecting one of its sessions)
+function showReport(projectId = state.settings.activeProjectId, sessionId = '') {
+  const project = state.projects.find(p => p.id === projectId) || getActiveProject();
+  const sessions = getProjectSessions(project.id).filter(summary => summary.photos > 0);
+  reportProjectId = project.id;
+
+  const select = document.getElementById('reportScope');
+  select.innerHTML = `
+    <option value="">${escapeXml(project.name)} (whole project)</option>
+    ${sessions.map(summary => `<option value="${summary.id}">${escapeXml(summary.name || summary.id)}</option>`).join('')}
+  `;
+  select.value = sessions.some(summary => summary.id === sessionId) ? sessionId : '';
+  updateReportSummary();
+  document.getElementById('reportModal').classList.remove('hidden');
+}
+
+// Close report options
+function closeReport() {
+  document.getElementById('reportModal').classList.add('hidden');
+}
+
+// Get the photos of a report scope, oldest first
+function getReportPhotos(projectId, sessionId) {
+  return getProjectPhotos(projectId)
+    .filter(photo => !sessionId || photo.sessionId === sessionId)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Show how many photos the selected scope covers
+function updateReportSummary() {
+  const photos = getReportPhotos(reportProjectId, document.getElementById('reportScope').value);
+  const range = photos.length ? ` • ${formatReportRange(photos[0].timestamp, photos[photos.length - 1].timestamp)}` : '';
+  document.getElementById('reportSummary').textContent = `${photos.length} photo${photos.length === 1 ? '' : 's'}${range}`;
+}
+
+// Format a report date range (one date when both ends fall on the same day)
+function formatReportRange(start, end) {
+  if (!start) return '—';
+  const from = new Date(start);
+  const to = new Date(end);
+  return toLocalDateKey(start) === toLocalDateKey(end)
+    ? `${from.toLocaleDateString()} ${from.toLocaleTimeString()}–${to.toLocaleTimeString()}`
+    : `${from.toLocaleString()} – ${to.toLocaleString()}`;
+}
+
+// Collect everything a report shows for a project or one of its sessions
+function buildReportData(projectId, sessionId = '') {
+  const project = state.projects.find(p => p.id === projectId) || getActiveProject();
+  const summary = sessionId ? summarizeSession(sessionId) : null;
+  const photos = getReportPhotos(project.id, sessionId);
+  const logs = getProjectLogs(project.id).filter(log => !sessionId || log.sessionId === sessionId);
+  const track = sessionId ? getSessionTrack(sessionId) : getProjectTrack(project.id);
+  const located = photos.filter(photo => photo.location).map(photo => photo.location);
+
+  return {
+    title: summary ? `${project.name} – ${summary.name || summary.id}` : project.name,
+    project,
+    session: summary,
+    operators: [...new Set(photos.map(photo => photo.operatorName).filter(Boolean))],
+    startedAt: photos[0]?.timestamp || null,
+    endedAt: photos[photos.length - 1]?.timestamp || null,
+    captures: logs.length,
+    photos,
+    track,
+    sites: getProjectSites(project),
+    extent: measureExtent([...located, ...track]),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+// Cover page rows of a report
+function getReportCoverRows(data) {
+  const { extent, session } = data;
+  return [
+    data.project.client && { label: 'Client', value: data.project.client },
+    session && { label: 'Session', value: session.name || session.id, note: session.name && session.id },
+    { label: 'Operator', value: data.operators.join(', ') || '—' },
+    { label: 'Date range', value: formatReportRange(data.startedAt, data.endedAt) },
+    { label: 'Photos', value: `${data.photos.length} (${data.captures} capture${data.captures === 1 ? '' : 's'} logged)` },
+    extent && { label: 'Extent', value: `${extent.south.toFixed(6)}, ${extent.west.toFixed(6)} to ${extent.north.toFixed(6)}, ${extent.east.toFixed(6)}` },
+    extent && { label: 'Area', value: formatSessionArea(extent) },
+    data.track.length > 0 && { label: 'Walked', value: `${formatDistance(measureTrack(data.track))} (${data.track.length} track points)` },
+    session?.checklist && { label: 'Checklist', value: `${session.checklist.name}: ${formatChecklistProgress(session.checklist)}`, tone: session.checklist.complete ? 'good' : 'warn', note: session.checklist.missing.length && `Missing: ${session.checklist.missing.join(', ')}` },
+    session?.endedIncomplete && { label: 'Ended', value: 'With checklist incomplete', tone: 'warn', note: `Still required then: ${session.endedIncomplete.join(', ')}` },
+    { label: 'Generated', value: `${new Date(data.generatedAt).toLocaleString()} on ${getDeviceInfo()}` }
+  ].filter(Boolean);
+}
+
+// Fit the photo locations, track and sites into a width × height plot (null without locations)
+function getReportPlot(data, width, height) {
+  const { extent } = data;
+  if (!extent) return null;
+
+  // Keep some room around the points and a minimum span of about 50 m
+  const kx = Math.cos((extent.south + extent.north) / 2 * Math.PI / 180);
+  const spanX = Math.max((extent.east - extent.west) * kx, 0.0005);
+  const spanY = Math.max(extent.north - extent.south, 0.0005);
+  const scale = Math.min(width / (spanX * 1.2), height / (spanY * 1.2));
+  const centerLat = (extent.south + extent.north) / 2;
+  const centerLng = (extent.west + extent.east) / 2;
+  const project = (lat, lng) => ({ x: width / 2 + (lng - centerLng) * kx * scale, y: height / 2 - (lat - centerLat) * scale });
+
+  const lines = new Map();
+  data.track.forEach(point => {
+    lines.set(point.sessionId, [...(lines.get(point.sessionId) || []), project(point.latitude, point.longitude)]);
+  });
+  return {
+    markers: data.photos
+      .map((photo, index) => photo.location && { number: index + 1, ...project(photo.location.latitude, photo.location.longitude) })
+      .filter(Boolean),
+    track: [...lines.values()].filter(line => line.length > 1),
+    sites: data.sites.map(site => (site.shape === 'circle'
+      ? { name: site.name, circle: { ...project(site.center[1], site.center[0]), r: site.radiusM / 111320 * scale } }
+      : { name: site.name, points: site.coordinates.map(([lng, lat]) => project(lat, lng)) }))
+  };
+}
+
+// Scale a photo (or a clip's poster) down to a JPEG thumbnail for the report
+async function createReportThumbnail(photo) {
+  try {
+    const bitmap = await createImageBitmap(photo.posterBlob || photo.imageBlob);
+    const scale = Math.min(1, REPORT_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+  } catch (error) {
+    console.error(`Report thumbnail failed for ${photo.id}:`, error);
+    return null;
+  }
+}
+
+// Build report data and thumbnails for the selected scope
+async function prepareReport() {
+  const data = buildReportData(reportProjectId, document.getElementById('reportScope').value);
+  if (data.photos.length === 0) {
+    showToast('No photos to report', 'error');
+    return null;
+  }
+
+  const thumbnails = new Map();
+  for (let i = 0; i < data.photos.length; i++) {
+    thumbnails.set(data.photos[i].id, await createReportThumbnail(data.photos[i]));
+    if ((i + 1) % 10 === 0) {
+      showToast(`Preparing report ${i + 1}/${data.photos.length} photos...`);
+    }
+  }
+  return { data, thumbnails };
+}
+
+// Report file name without extension
+function getReportFilename(data) {
+  return `tracecam-report-${data.title.replace(/[^\w-]+/g, '_')}-${new Date().toISOString().split('T')[0]}`;
+}
+
+// Render report rows as a definition list
+function renderReportRows(rows, mono = false) {
+  return rows.map(row => (row.block
+    ? `<dt class="block">${escapeXml(row.label)}</dt><dd class="block${mono ? ' mono' : ' pre'}">${escapeXml(row.value)}</dd>`
+    : `<dt>${escapeXml(row.label)}</dt><dd class="${row.tone || ''}">${escapeXml(row.value)}${row.note ? `<span class="note">${escapeXml(row.note)}</span>` : ''}</dd>`
+  )).join('');
+}
+
+// Draw the report plot as SVG
+function renderReportPlotSvg(plot, width, height) {
+  return `<svg class="plot" viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg">
+    <rect width="${width}" height="${height}" fill="#f8fafc"/>
+    ${plot.sites.map(site => (site.circle
+      ? `<circle cx="${site.circle.x.toFixed(1)}" cy="${site.circle.y.toFixed(1)}" r="${site.circle.r.toFixed(1)}" fill="#f59e0b" fill-opacity="0.12" stroke="#d97706" stroke-dasharray="6 4"/>`
+      : `<polygon points="${site.points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="#f59e0b" fill-opacity="0.12" stroke="#d97706" stroke-dasharray="6 4"/>`)).join('')}
+    ${plot.track.map(line => `<polyline points="${line.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="none" stroke="#0ea5e9" stroke-width="2" stroke-linejoin="round"/>`).join('')}
+    ${plot.markers.map(marker => `<circle cx="${marker.x.toFixed(1)}" cy="${marker.y.toFixed(1)}" r="8" fill="#059669" stroke="#fff" stroke-width="1.5"/><text x="${marker.x.toFixed(1)}" y="${(marker.y + 3).toFixed(1)}" text-anchor="middle" font-size="8" font-weight="bold" fill="#fff">${marker.number}</text>`).join('')}
+  </svg>`;
+}
+
+// Build the print-optimized report page
+function buildReportHtml(data, thumbnails) {
+  const plot = getReportPlot(data, 640, 400);
+  const photos = data.photos.map((photo, index) => {
+    const sections = getPhotoDetailSections(photo);
+    const thumbnail = thumbnails.get(photo.id);
+    return `
+      <article class="photo">
+        <figure>
+          ${thumbnail ? `<img src="data:image/jpeg;base64,${bytesToBase64(thumbnail.bytes)}" alt="${photo.id}">` : '<div class="missing">No preview</div>'}
+          <figcaption>#${index + 1}${photo.mediaType === 'video' ? ' • video' : ''}</figcaption>
+        </figure>
+        <dl>${renderReportRows([...sections.capture, ...sections.time, ...sections.location, ...sections.context, ...sections.notes])}</dl>
+        ${sections.integrity.length ? `<dl class="integrity">${renderReportRows(sections.integrity, true)}</dl>` : ''}
+      </article>
+    `;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeXml(data.title)} – TraceCam report</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 11px/1.45 -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #0f172a; background: #fff; }
+  .toolbar { position: sticky; top: 0; display: flex; align-items: center; gap: 12px; padding: 10px 16px; background: #0f172a; color: #e2e8f0; }
+  .toolbar button { margin-left: auto; padding: 6px 14px; border: 0; border-radius: 6px; background: #059669; color: #fff; font: inherit; font-weight: 600; cursor: pointer; }
+  main { max-width: 182mm; margin: 0 auto; padding: 16px; }
+  .cover { break-after: page; }
+  .eyebrow { margin: 0; color: #059669; font-size: 10px; font-weight: 700; letter-spacing: 0.1em; text-transform: uppercase; }
+  h1 { margin: 4px 0 16px; font-size: 26px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0; }
+  dt { color: #64748b; }
+  dd { margin: 0; overflow-wrap: anywhere; }
+  .block { grid-column: 1 / -1; }
+  dd.block { margin-bottom: 4px; }
+  .pre { white-space: pre-wrap; }
+  .mono { font: 8.5px/1.4 ui-monospace, Menlo, Consolas, monospace; word-break: break-all; }
+  .note { display: block; color: #64748b; font-size: 9px; }
+  .good { color: #047857; }
+  .warn { color: #b45309; }
+  .plot { display: block; margin-top: 20px; border: 1px solid #cbd5e1; border-radius: 6px; }
+  .caption { color: #64748b; font-size: 9px; }
+  .photo { display: grid; grid-template-columns: 68mm 1fr; gap: 8px 14px; padding: 12px 0; border-top: 1px solid #e2e8f0; break-inside: avoid; }
+  .photo figure { margin: 0; }
+  .photo img { display: block; width: 100%; border-radius: 4px; }
+  .photo figcaption { margin-top: 2px; color: #64748b; font-weight: 600; }
+  .photo .integrity { grid-column: 1 / -1; }
+  .missing { padding: 40px 0; background: #f1f5f9; color: #94a3b8; text-align: center; }
+  footer { margin-top: 16px; color: #94a3b8; font-size: 9px; text-align: center; }
+  @media print { .toolbar { display: none; } main { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><strong>TraceCam report</strong><span>Print, or choose “Save as PDF” as the printer</span><button onclick="window.print()">Print / Save as PDF</button></div>
+<main>
+  <section class="cover">
+    <p class="eyebrow">Inspection report</p>
+    <h1>${escapeXml(data.project.name)}</h1>
+    <dl>${renderReportRows(getReportCoverRows(data))}</dl>
+    ${plot ? `${renderReportPlotSvg(plot, 640, 400)}<p class="caption">Numbered markers match the photo numbers below${data.track.length ? '; the blue line is the walked track' : ''}${data.sites.length ? '; dashed outlines are project sites' : ''}.</p>` : '<p class="caption">No photo has a location.</p>'}
+  </section>
+  <section>${photos}</section>
+  <footer>Generated by TraceCam • ${data.photos.length} photo${data.photos.length === 1 ? '' : 's'} • hashes can be checked with Verify in the app</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+// Open the report as a printable page (downloaded as HTML when pop-ups are blocked)
+async function openReportHtml() {
+  // Open the window within the tap so pop-up blockers allow it
+  const win = window.open('', '_blank');
+  win?.document.write('<p style="font-family: sans-serif">Preparing report...</p>');
+
+  let report;
+  try {
+    report = await prepareReport();
+  } catch (error) {
+    console.error('Report failed:', error);
+    showToast('Report failed: ' + error.message, 'error');
+  }
+  if (!report) {
+    win?.close();
+    return;
+  }
+
+  const html = buildReportHtml(report.data, report.thumbnails);
+  if (win) {
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+  } else {
+    downloadBlob(new Blob([html], { type: 'text/html' }), `${getReportFilename(report.data)}.html`);
+  }
+  showToast('Report ready', 'success');
+}
+
+// Generate the report as a PDF file
+async function downloadReportPdf() {
+  try {
+    const report = await prepareReport();
+    if (!report) return;
+    downloadBlob(buildReportPdf(report.data, report.thumbnails), `${getReportFilename(report.data)}.pdf`);
+    showToast('Report saved! 📄', 'success');
+  } catch (error) {
+    console.error('Report failed:', error);
+    showToast('Report failed: ' + error.message, 'error');
+  }
+}
+
+// Encode text for a PDF string in WinAnsi (characters outside it become ?)
+function encodePdfText(text) {
+  const special = { '•': '\x95', '–': '\x96', '—': '\x97', '…': '\x85', '‘': '\x91', '’': '\x92', '“': '\x93', '”': '\x94', '€': '\x80', '✓': 'OK', '⚠': '!' };
+  return Array.from(String(text).replace(/[\r\n\t]+/g, ' '), char => {
+    if (special[char]) return special[char];
+    const code = char.charCodeAt(0);
+    return (code >= 32 && code < 127) || (code >= 160 && code <= 255) ? char : '?';
+  }).join('');
+}
+
+// Width of text in points for a standard font
+function measurePdfText(text, size, font = 'F1') {
+  const encoded = encodePdfText(text);
+  if (font === 'F3') return encoded.length * 0.6 * size;
+  let width = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    width += code >= 32 && code <= 126 ? PDF_HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return width / 1000 * size * (font === 'F2' ? 1.07 : 1);
+}
+
+// Wrap text into lines that fit a width (long words such as hashes are split)
+function wrapPdfText(text, width, size, font = 'F1') {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measurePdfText(candidate, size, font) <= width) {
+      line = candidate;
+      return;
+    }
+    if (line) lines.push(line);
+    line = '';
+    for (const char of word) {
+      if (line && measurePdfText(line + char, size, font) > width) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.length ? lines : [''];
+}
+
+// Minimal PDF writer: A4 pages with the standard Helvetica (F1, bold F2) and Courier (F3) fonts,
+// JPEG images and simple shapes; coordinates are in points from the top-left corner
+function createPdfWriter() {
+  const pages = [];
+  const images = [];
+  let ops = null;
+  const num = value => String(Math.round(value * 100) / 100);
+  const color = hex => {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => num(c / 255)).join(' ');
+  };
+  const y = top => num(PDF_PAGE_HEIGHT - top);
+  const paint = ({ stroke, fill, width = 1, dash }) => {
+    if (stroke) ops.push(`${color(stroke)} RG ${num(width)} w ${dash ? `[${dash.join(' ')}] 0 d` : '[] 0 d'}`);
+    if (fill) ops.push(`${color(fill)} rg`);
+    return fill && stroke ? 'B' : fill ? 'f' : 'S';
+  };
+
+  return {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return pages.length;
+    },
+    setPage(index) {
+      ops = pages[index];
+    },
+    get pageCount() {
+      return pages.length;
+    },
+    text(x, top, text, { size = 10, font = 'F1', fill = '#0f172a' } = {}) {
+      const escaped = encodePdfText(text).replace(/[\\()]/g, char => `\\${char}`);
+      ops.push(`BT ${color(fill)} rg /${font} ${num(size)} Tf ${num(x)} ${y(top + size * 0.8)} Td (${escaped}) Tj ET`);
+    },
+    addImage(bytes, width, height) {
+      images.push({ bytes, width, height });
+      return images.length - 1;
+    },
+    image(index, x, top, width, height) {
+      ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${y(top + height)} cm /Im${index} Do Q`);
+    },
+    rect(x, top, width, height, style) {
+      const operator = paint(style);
+      ops.push(`${num(x)} ${y(top + height)} ${num(width)} ${num(height)} re ${operator}`);
+    },
+    path(points, { close = false, ...style }) {
+      const operator = paint(style);
+      ops.push(`${points.map((p, i) => `${num(p.x)} ${y(p.y)} ${i ? 'l' : 'm'}`).join(' ')} ${close ? 'h ' : ''}${operator}`);
+    },
+    circle(cx, cy, r, style) {
+      // Four Bézier arcs
+      const k = 0.5523 * r;
+      const operator = paint(style);
+      ops.push([
+        `${num(cx + r)} ${y(cy)} m`,
+        `${num(cx + r)} ${y(cy - k)} ${num(cx + k)} ${y(cy - r)} ${num(cx)} ${y(cy - r)} c`,
+        `${num(cx - k)} ${y(cy - r)} ${num(cx - r)} ${y(cy - k)} ${num(cx - r)} ${y(cy)} c`,
+        `${num(cx - r)} ${y(cy + k)} ${num(cx - k)} ${y(cy + r)} ${num(cx)} ${y(cy + r)} c`,
+        `${num(cx + k)} ${y(cy + r)} ${num(cx + r)} ${y(cy + k)} ${num(cx + r)} ${y(cy)} c`,
+        operator
+      ].join(' '));
+    },
+    clip(x, top, width, height, draw) {
+      ops.push(`q ${num(x)} ${y(top + height)} ${num(width)} ${num(height)} re W n`);
+      draw();
+      ops.push('Q');
+    },
+    finish() {
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = data => {
+        const bytes = typeof data === 'string' ? Uint8Array.from(data, char => char.charCodeAt(0) & 0xFF) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      const object = (id, dictionary, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${dictionary}\n`);
+        if (stream) {
+          write('stream\n');
+          write(stream);
+          write('\nendstream\n');
+        }
+        write('endobj\n');
+      };
+
+      // 1 catalog, 2 page tree, 3-5 fonts, then images, then a content stream and page per page
+      const firstImage = 6;
+      const firstPage = firstImage + images.length;
+      const pageIds = pages.map((_, i) => firstPage + i * 2 + 1);
+      const imageRefs = images.map((_, i) => `/Im${i} ${firstImage + i} 0 R`).join(' ');
+
+      write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+      object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+      object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+      object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      object(5, '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+      images.forEach((image, i) => {
+        object(firstImage + i, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>`, image.bytes);
+      });
+      pages.forEach((pageOps, i) => {
+        const content = Uint8Array.from(pageOps.join('\n'), char => char.charCodeAt(0) & 0xFF);
+        object(firstPage + i * 2, `<< /Length ${content.length} >>`, content);
+        object(pageIds[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] /Contents ${firstPage + i * 2} 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> /XObject << ${imageRefs} >> >> >>`);
+      });
+
+      const xref = length;
+      const count = firstPage + pages.length * 2;
+      write(`xref\n0 ${count}\n0000000000 65535 f \n${offsets.slice(1, count).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`);
+      write(`trailer\n<< /Size ${count} /Root 1 0 R /Info << /Producer (TraceCam) >> >>\nstartxref\n${xref}\n%%EOF\n`);
+      return new Blob(chunks, { type: 'application/pdf' });
+    }
+  };
+}
+
+// Lay out the report as a PDF: cover page, then one block per photo
+function buildReportPdf(data, thumbnails) {
+  const pdf = createPdfWriter();
+  const margin = 42;
+  const width = PDF_PAGE_WIDTH - margin * 2;
+  const bottom = PDF_PAGE_HEIGHT - margin - 16;
+  const tones = { good: '#047857', warn: '#b45309' };
+  let top = margin;
+
+  const ensureSpace = height => {
+    if (top + height <= bottom) return;
+    pdf.addPage();
+    top = margin;
+  };
+
+  // Label/value rows in a column; block rows put the value under its label
+  const drawRows = (rows, x, columnWidth, { size = 8.5, labelWidth = 78, mono = false } = {}) => {
+    rows.forEach(row => {
+      const lineHeight = size * 1.35;
+      const font = mono && row.block ? 'F3' : 'F1';
+      const valueSize = font === 'F3' ? size - 1 : size;
+      if (row.block) {
+        const lines = String(row.value).split('\n').flatMap(part => wrapPdfText(part, columnWidth, valueSize, font));
+        ensureSpace(lineHeight * 2);
+        pdf.text(x, top, row.label, { size, font: 'F2', fill: '#64748b' });
+        top += lineHeight;
+        lines.forEach(line => {
+          ensureSpace(lineHeight);
+          pdf.text(x, top, line, { size: valueSize, font });
+          top += lineHeight;
+        });
+        return;
+      }
+      const lines = wrapPdfText(row.value, columnWidth - labelWidth, size);
+      ensureSpace(lineHeight);
+      pdf.text(x, top, row.label, { size, font: 'F2', fill: '#64748b' });
+      lines.forEach((line, i) => {
+        if (i) ensureSpace(lineHeight);
+        pdf.text(x + labelWidth, top, line, { size, fill: tones[row.tone] || '#0f172a' });
+        top += lineHeight;
+      });
+      if (row.note) {
+        wrapPdfText(row.note, columnWidth - labelWidth, size - 1.5).forEach(line => {
+          ensureSpace(lineHeight);
+          pdf.text(x + labelWidth, top, line, { size: size - 1.5, fill: '#64748b' });
+          top += lineHeight;
+        });
+      }
+    });
+  };
+
+  // Cover page
+  pdf.addPage();
+  pdf.text(margin, top, 'INSPECTION REPORT', { size: 9, font: 'F2', fill: '#059669' });
+  top += 16;
+  wrapPdfText(data.project.name, width, 22, 'F2').forEach(line => {
+    pdf.text(margin, top, line, { size: 22, font: 'F2' });
+    top += 28;
+  });
+  top += 6;
+  drawRows(getReportCoverRows(data), margin, width, { size: 10, labelWidth: 90 });
+
+  const plotHeight = Math.min(340, bottom - top - 40);
+  const plot = plotHeight > 120 && getReportPlot(data, width, plotHeight);
+  if (plot) {
+    top += 16;
+    const plotTop = top;
+    const at = p => ({ x: margin + p.x, y: plotTop + p.y });
+    pdf.rect(margin, plotTop, width, plotHeight, { fill: '#f8fafc', stroke: '#cbd5e1' });
+    pdf.clip(margin, plotTop, width, plotHeight, () => {
+      plot.sites.forEach(site => {
+        const style = { stroke: '#d97706', dash: [6, 4] };
+        if (site.circle) pdf.circle(margin + site.circle.x, plotTop + site.circle.y, site.circle.r, style);
+        else pdf.path(site.points.map(at), { ...style, close: true });
+      });
+      plot.track.forEach(line => pdf.path(line.map(at), { stroke: '#0ea5e9', width: 2 }));
+      plot.markers.forEach(marker => {
+        const { x, y } = at(marker);
+        pdf.circle(x, y, 7, { fill: '#059669', stroke: '#ffffff' });
+        const label = String(marker.number);
+        pdf.text(x - measurePdfText(label, 7, 'F2') / 2, y - 3, label, { size: 7, font: 'F2', fill: '#ffffff' });
+      });
+    });
+    top += plotHeight + 6;
+    pdf.text(margin, top, `Numbered markers match the photo numbers${data.track.length ? '; blue line: walked track' : ''}${data.sites.length ? '; dashed outlines: project sites' : ''}.`, { size: 8, fill: '#64748b' });
+  } else if (!data.extent) {
+    top += 16;
+    pdf.text(margin, top, 'No photo has a location.', { size: 9, fill: '#64748b' });
+  }
+
+  // One block per photo: thumbnail on the left, details on the right, hashes underneath
+  const thumbWidth = 190;
+  const detailsX = margin + thumbWidth + 16;
+  const detailsWidth = width - thumbWidth - 16;
+  pdf.addPage();
+  top = margin;
+  data.photos.forEach((photo, index) => {
+    const sections = getPhotoDetailSections(photo);
+    const thumbnail = thumbnails.get(photo.id);
+    const thumbHeight = thumbnail ? Math.min(thumbWidth * thumbnail.height / thumbnail.width, 250) : 60;
+    const thumbDrawWidth = thumbnail ? thumbHeight * thumbnail.width / thumbnail.height : thumbWidth;
+
+    if (index > 0) top += 10;
+    ensureSpace(thumbHeight + 30);
+    pdf.path([{ x: margin, y: top }, { x: margin + width, y: top }], { stroke: '#e2e8f0' });
+    top += 8;
+    pdf.text(margin, top, `#${index + 1}  ${photo.id}`, { size: 11, font: 'F2' });
+    top += 16;
+
+    const blockTop = top;
+    if (thumbnail) {
+      pdf.image(pdf.addImage(thumbnail.bytes, thumbnail.width, thumbnail.height), margin, blockTop, thumbDrawWidth, thumbHeight);
+    } else {
+      pdf.rect(margin, blockTop, thumbWidth, thumbHeight, { fill: '#f1f5f9' });
+      pdf.text(margin + 8, blockTop + thumbHeight / 2 - 5, 'No preview', { size: 9, fill: '#94a3b8' });
+    }
+    const blockPage = pdf.pageCount;
+    drawRows([...sections.time, ...sections.location, ...sections.context, ...sections.notes], detailsX, detailsWidth);
+    if (pdf.pageCount === blockPage) top = Math.max(top, blockTop + thumbHeight);
+    top += 6;
+    drawRows([...sections.capture.filter(row => row.label !== 'ID'), ...sections.integrity], margin, width, { size: 8, labelWidth: 90, mono: true });
+  });
+
+  // Footer with page numbers
+  for (let i = 0; i < pdf.pageCount; i++) {
+    pdf.setPage(i);
+    const footer = `${data.title} • page ${i + 1} of ${pdf.pageCount}`;
+    pdf.text(margin, PDF_PAGE_HEIGHT - margin + 4, 'TraceCam', { size: 8, font: 'F2', fill: '#94a3b8' });
+    pdf.text(PDF_PAGE_WIDTH - margin - measurePdfText(footer, 8), PDF_PAGE_HEIGHT - margin + 4, footer, { size: 8, fill: '#94a3b8' });
+  }
+  return pdf.finish();
+}
+
+// Check an upload endpoint (HTTPS, or plain HTTP on this machine for a local test server)
+function isValidUploadUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || (url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Load the upload queue
+async function loadUploads() {
+  state.uploads = await dbGetAll(UPLOADS_STORE);
+}
+
+// Get a capture's upload queue entry
+function getUploadEntry(photoId) {
+  return state.uploads.find(entry => entry.id === photoId) || null;
+}
+
+// Store the sync target where the service worker can read it
+async function saveUploadConfig() {
+  try {
+    await dbPut(KEYS_STORE, {
+      id: UPLOAD_CONFIG_ID,
+      enabled: state.settings.uploadEnabled,
+      url: state.settings.uploadUrl,
+      token: state.settings.uploadToken
+    });
+  } catch (error) {
+    console.error('Failed to save upload target:', error);
+  }
+}
+
+// Refresh a queue entry from storage (the service worker may have updated it)
+async function refreshUploadEntry(entry) {
+  try {
+    Object.assign(entry, await dbGet(UPLOADS_STORE, entry.id));
+  } catch (error) {
+    console.error('Failed to read upload status:', error);
+  }
+}
+
+// Save changes to a queue entry, on top of its stored copy
+async function updateUploadEntry(entry, changes) {
+  await refreshUploadEntry(entry);
+  Object.assign(entry, changes);
+  try {
+    await dbPut(UPLOADS_STORE, entry);
+  } catch (error) {
+    console.error('Failed to save upload status:', error);
+  }
+}
+
+// Queue a capture for upload to the sync target
+async function queueUpload(photo) {
+  if (!state.settings.uploadEnabled || getUploadEntry(photo.id)) return;
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: photo.id,
+    projectId: getRecordProjectId(photo),
+    status: 'pending',
+    attempts: 0,
+    queuedAt: now,
+    nextAttemptAt: now,
+    lastError: null,
+    uploadedAt: null
+  };
+  state.uploads.push(entry);
+  await updateUploadEntry(entry, {});
+  scheduleUploads(0);
+}
+
+// Queue every photo of the active project that is not queued yet
+async function queueProjectUploads() {
+  if (!state.settings.uploadEnabled) {
+    showToast('Enable uploads and save settings first', 'error');
+    return;
+  }
+  const photos = getProjectPhotos().filter(photo => !getUploadEntry(photo.id));
+  for (const photo of photos) {
+    await queueUpload(photo);
+  }
+  renderUploadStatus();
+  showToast(photos.length ? `Queued ${photos.length} capture${photos.length === 1 ? '' : 's'} for upload` : 'Everything is already queued', 'success');
+}
+
+// Retry one capture now
+async function retryUpload(photoId) {
+  const entry = getUploadEntry(photoId);
+  if (!entry) return;
+  await updateUploadEntry(entry, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+  renderUploadStatus();
+  scheduleUploads(0);
+}
+
+// Retry all failed uploads now
+async function retryFailedUploads() {
+  const failed = state.uploads.filter(entry => entry.status === 'failed');
+  for (const entry of failed) {
+    await updateUploadEntry(entry, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+  }
+  renderUploadStatus();
+  scheduleUploads(0);
+}
+
+// Drop queue entries of deleted captures
+async function removeUploads(photoIds) {
+  const ids = new Set(photoIds);
+  const removed = state.uploads.filter(entry => ids.has(entry.id));
+  if (removed.length === 0) return;
+  state.uploads = state.uploads.filter(entry => !ids.has(entry.id));
+  try {
+    await dbDeleteAll(UPLOADS_STORE, removed.map(entry => entry.id));
+  } catch (error) {
+    console.error('Failed to remove uploads:', error);
+  }
+}
+
+// Seconds to wait before the next attempt (mirrored in sw.js)
+function getUploadBackoff(attempts) {
+  return Math.min(UPLOAD_BACKOFF_MAX, UPLOAD_BACKOFF_BASE * 2 ** Math.max(0, attempts - 1));
+}
+
+// Entries still waiting for an attempt
+function getOpenUploads() {
+  return state.uploads.filter(entry => entry.status !== 'uploaded' && entry.attempts < UPLOAD_MAX_ATTEMPTS);
+}
+
+// Run the queue after a delay (seconds), and let Background Sync take over when the app closes
+function scheduleUploads(delay) {
+  clearTimeout(uploadTimer);
+  uploadTimer = null;
+  if (!state.settings.uploadEnabled || getOpenUploads().length === 0) return;
+  uploadTimer = setTimeout(processUploadQueue, delay * 1000);
+  registerUploadSync();
+}
+
+// Ask the service worker to upload when connectivity returns
+async function registerUploadSync() {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.sync?.register(UPLOAD_SYNC_TAG);
+  } catch (error) {
+    console.error('Background Sync unavailable:', error);
+  }
+}
+
+// Upload due captures one at a time, then wait for the next one to come due
+async function processUploadQueue() {
+  if (uploadRunning || !state.settings.uploadEnabled) return;
+  uploadRunning = true;
+
+  try {
+    let due;
+    while (navigator.onLine && (due = getOpenUploads().find(entry => entry.nextAttemptAt <= new Date().toISOString()))) {
+      await uploadCapture(due);
+      renderUploadStatus();
+    }
+  } finally {
+    uploadRunning = false;
+  }
+
+  const next = getOpenUploads().map(entry => new Date(entry.nextAttemptAt).getTime()).sort((a, b) => a - b)[0];
+  if (next !== undefined && navigator.onLine) {
+    scheduleUploads(Math.max(1, (next - Date.now()) / 1000));
+  } else if (next !== undefined) {
+    registerUploadSync();
+  }
+}
+
+// Build the multipart body: capture file, poster frame and metadata JSON (mirrored in sw.js)
+function buildUploadForm(photo, log) {
+  const captureFile = getCaptureFile(photo);
+  const form = new FormData();
+  form.append('id', photo.id);
+  form.append('imageHash', photo.imageHash || '');
+  form.append('metadata', new Blob([JSON.stringify({
+    photo: omitFields(photo, ['imageBlob', 'posterBlob']),
+    log: log || null
+  })], { type: 'application/json' }), `${photo.id}.json`);
+  form.append('file', photo.imageBlob, captureFile.name);
+  if (photo.posterBlob) form.append('poster', photo.posterBlob, `${photo.id}-poster.jpg`);
+  return form;
+}
+
+// Upload one capture and record the outcome
+async function uploadCapture(entry) {
+  await refreshUploadEntry(entry);
+  if (entry.status === 'uploaded' || entry.nextAttemptAt > new Date().toISOString()) return;
+
+  const photo = state.photos.find(p => p.id === entry.id);
+  if (!photo) {
+    await removeUploads([entry.id]);
+    return;
+  }
+
+  try {
+    const response = await fetch(state.settings.uploadUrl, {
+      method: 'POST',
+      headers: {
+        ...(state.settings.uploadToken ? { Authorization: `Bearer ${state.settings.uploadToken}` } : {}),
+        'Idempotency-Key': photo.id
+      },
+      body: buildUploadForm(photo, state.logs.find(log => log.id === photo.id))
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    await updateUploadEntry(entry, { status: 'uploaded', uploadedAt: new Date().toISOString(), lastError: null });
+  } catch (error) {
+    // Keep an upload the service worker finished meanwhile
+    await refreshUploadEntry(entry);
+    if (entry.status === 'uploaded') return;
+    const attempts = entry.attempts + 1;
+    await updateUploadEntry(entry, {
+      status: 'failed',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + getUploadBackoff(attempts) * 1000).toISOString()
+    });
+  }
+}
+
+// Pick up queue changes made by the service worker
+async function handleServiceWorkerMessage(event) {
+  if (event.data?.type === 'upload-sync') {
+    processUploadQueue();
+  } else if (event.data?.type === 'uploads-updated') {
+    await loadUploads();
+    renderUploadStatus();
+  }
+}
+
+// Describe a capture's upload status for badges and the preview
+function describeUploadStatus(entry) {
+  if (!entry) return null;
+  if (entry.status === 'uploaded') return { icon: '☁️', label: 'Uploaded', color: 'text-emerald-400' };
+  if (entry.status === 'pending') return { icon: '⏳', label: 'Pending', color: 'text-slate-300' };
+  return { icon: '⚠️', label: entry.attempts >= UPLOAD_MAX_ATTEMPTS ? 'Failed' : 'Failed, retrying', color: 'text-red-400' };
+}
+
+// Upload status row of the preview
+function renderPreviewUpload(photo) {
+  const entry = getUploadEntry(photo.id);
+  const status = describeUploadStatus(entry);
+  if (!status) return '';
+  const detail = entry.status === 'uploaded' ? new Date(entry.uploadedAt).toLocaleString()
+    : entry.status === 'failed' ? `${escapeXml(entry.lastError || 'Error')} • attempt ${entry.attempts}` : '';
+  return `
+    <p class="flex justify-between items-center"><span class="text-slate-500">Upload:</span><span class="${status.color}">${status.icon} ${status.label}</span></p>
+    ${detail ? `<p class="text-[10px] text-slate-500 text-right">${detail}</p>` : ''}
+    ${entry.status === 'failed' ? `<div class="text-right"><button onclick="retryUpload('${photo.id}')" class="px-2 py-0.5 bg-slate-800 hover:bg-slate-700 rounded text-[10px] text-slate-300 transition">Retry now</button></div>` : ''}
+  `;
+}
+
+// Render queue counts in settings and refresh visible statuses
+function renderUploadStatus() {
+  const counts = { pending: 0, uploaded: 0, failed: 0 };
+  state.uploads.forEach(entry => counts[entry.status]++);
+  document.getElementById('uploadStatus').textContent = state.uploads.length
+    ? `${counts.pending} pending • ${counts.uploaded} uploaded • ${counts.failed} failed`
+    : 'Nothing queued yet';
+  document.getElementById('uploadRetryBtn').classList.toggle('hidden', counts.failed === 0);
+
+  if (!document.getElementById('galleryModal').classList.contains('hidden')) renderGallery();
+  if (state.currentPreview) {
+    document.getElementById('previewUpload').innerHTML = renderPreviewUpload(state.currentPreview);
+  }
+}
+
+// Show gallery
+function showGallery() {
+  populateFilterOptions('gallery', getProjectPhotos());
+  renderGallery();
+  document.getElementById('galleryModal').classList.remove('hidden');
+}
+
+// Render gallery with current filters
+function renderGallery() {
+  const container = document.getElementById('galleryContainer');
+  const filters = getFilterValues('gallery');
+  const projectPhotos = getProjectPhotos();
+  const photos = filterRecords(projectPhotos, filters);
+  
+  if (projectPhotos.length > 0 && hasActiveFilters(filters)) {
+    document.getElementById('gallerySummary').textContent = `${photos.length} of ${projectPhotos.length} photos`;
+  } else {
+    updatePhotoCount();
+  }
+  
+  if (photos.length === 0 && projectPhotos.length > 0) {
+    container.innerHTML = `
+      <div class="col-span-2 text-center py-12">
+        <p class="text-slate-500 text-sm">No matching photos</p>
+        <button onclick="clearFilters('gallery')" class="text-emerald-400 text-xs mt-2">Clear filters</button>
+      </div>
+    `;
+  } else if (photos.length === 0) {
+    container.innerHTML = `
+      <div class="col-span-2 text-center py-12">
+        <div class="w-16 h-16 bg-slate-800 rounded-full flex items-center justify-center mx-auto mb-4">
+          <svg class="w-8 h-8 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+          </svg>
+        </div>
+        <p class="text-slate-500 text-sm">No photos yet</p>
+        <p class="text-slate-600 text-xs mt-1">Captured photos will appear here</p>
+      </div>
+    `;
+  } else {
+    container.innerHTML = photos.map(photo => {
+      const upload = describeUploadStatus(getUploadEntry(photo.id));
+      return `
+      <div class="aspect-square bg-slate-800 rounded-xl overflow-hidden relative cursor-pointer group" onclick="previewPhoto('${photo.id}')">
+        <img src="${getPhotoUrl(photo)}" class="w-full h-full object-cover transition group-hover:scale-105" alt="Photo ${photo.id}" loading="lazy">
+        ${photo.category ? `<span class="absolute top-2 left-2 px-2 py-0.5 rounded-full bg-blue-600/80 text-[10px]">${escapeXml(photo.category)}</span>` : ''}
+        ${photo.mediaType === 'video' ? `<span class="absolute top-2 right-2 px-2 py-0.5 rounded-full bg-black/70 text-[10px]">▶ ${formatCountdown(Math.round(photo.durationSeconds))}</span>` : ''}
+        <div class="absolute inset-x-0 bottom-0 bg-gradient-to-t from-black/80 to-transparent px-2 py-2">
+          <p class="text-[10px] font-mono text-white/80 truncate">${upload ? `<span title="${upload.label}">${upload.icon}</span> ` : ''}${photo.id}</p>
+          ${(photo.tags || []).length ? `<p class="text-[10px] text-emerald-300 truncate">${photo.tags.map(tag => `#${escapeXml(tag)}`).join(' ')}</p>` : ''}
+        </div>
+      </div>
+    `;
+    }).join('');
+  }
+}
+
+// Close gallery
+function closeGallery() {
+  document.getElementById('galleryModal').classList.add('hidden');
+}
+
+// Detail rows of a capture in sections (shared by the photo preview and the report)
+function getPhotoDetailSections(photo) {
+  const isVideo = photo.mediaType === 'video';
+  const { location, fix, sequence, orientation } = photo;
+  const address = getRecordAddress(photo);
+  const sections = {
+    capture: [
+      { label: 'ID', value: photo.id },
+      { label: 'Resolution', value: `${photo.imageWidth || '?'}×${photo.imageHeight || '?'}` },
+      photo.fileSizeKB && { label: 'Size', value: photo.fileSizeKB > 1024 ? `${(photo.fileSizeKB / 1024).toFixed(1)} MB` : `${photo.fileSizeKB} KB` },
+      isVideo && { label: 'Duration', value: formatCountdown(Math.round(photo.durationSeconds)) },
+      isVideo && { label: 'GPS track', value: `${photo.track.length} point${photo.track.length === 1 ? '' : 's'}` },
+      !isVideo && { label: 'Quality', value: photo.quality || 'High' }
+    ],
+    time: [
+      { label: 'Time', value: photo.timestampLocal },
+      { label: 'UTC', value: photo.timestamp },
+      { label: 'Timezone', value: photo.timezone }
+    ],
+    location: [
+      location ? { label: 'Location', value: `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`, tone: 'good' } : { label: 'Location', value: 'No location', tone: 'warn' },
+      location?.dms && { label: 'DMS', value: `${location.dms.latitude.formatted}, ${location.dms.longitude.formatted}` },
+      location?.accuracy && { label: 'Accuracy', value: `±${location.accuracy.toFixed(1)}m` },
+      fix && {
+        label: 'GPS fix',
+        value: `${fix.meetsThreshold ? '✓' : '⚠'} ${fix.ageSeconds !== null ? `${fix.ageSeconds}s old` : 'no fix'}${fix.averagedSamples ? ` • avg of ${fix.averagedSamples}` : ''}`,
+        tone: fix.meetsThreshold ? 'good' : 'warn',
+        note: !fix.meetsThreshold && fix.reason
+      },
+      sequence && { label: CAPTURE_MODES[sequence.mode], value: `frame ${formatSequenceFrame(sequence)}`, note: sequence.id },
+      orientation && { label: 'Bearing', value: formatBearing(orientation) },
+      orientation && { label: 'Tilt', value: `pitch ${orientation.pitch}° • roll ${orientation.roll}°` },
+      address && { label: 'Address', value: address, note: address !== photo.address && 'Looked up after capture' }
+    ],
+    context: [
+      { label: 'Session', value: photo.sessionName || photo.sessionId, note: photo.sessionName && photo.sessionId },
+      photo.projectName && { label: 'Project', value: photo.projectName },
+      photo.clientName && { label: 'Client', value: photo.clientName },
+      formatRecordSite(photo) && { label: 'Site', value: formatRecordSite(photo), tone: photo.offSite ? 'warn' : null },
+      photo.checklistItem && { label: 'Checklist', value: photo.checklistItem.label },
+      photo.operatorName && { label: 'Operator', value: photo.operatorName }
+    ],
+    notes: [
+      photo.category && { label: 'Category', value: photo.category },
+      (photo.tags || []).length && { label: 'Tags', value: photo.tags.map(tag => `#${tag}`).join(' ') },
+      photo.notes && { label: 'Notes', value: photo.notes, block: true }
+    ],
+    integrity: [
+      photo.imageHash && { label: 'Image SHA-256', value: photo.imageHash, block: true },
+      photo.metadataHash && { label: 'Metadata SHA-256', value: photo.metadataHash, block: true },
+      photo.signature && { label: 'Signed by key', value: photo.keyId, tone: 'good' },
+      photo.signature && { label: 'Signature (ECDSA P-256)', value: photo.signature, block: true }
+    ]
+  };
+  Object.keys(sections).forEach(key => {
+    sections[key] = sections[key].filter(Boolean);
+  });
+  return sections;
+}
+
+// Render detail rows for the photo preview
+function renderPreviewRows(rows) {
+  const tones = { good: 'text-emerald-400', warn: 'text-yellow-400' };
+  return rows.map(row => (row.block
+    ? `<p class="text-slate-500">${row.label}:</p><p class="text-white break-all">${escapeXml(row.value)}</p>`
+    : `<p class="flex justify-between"><span class="text-slate-500">${row.label}:</span><span class="${tones[row.tone] || 'text-white'} text-right ml-2">${escapeXml(row.value)}${row.note ? `<br><span class="text-[10px] text-slate-500">${escapeXml(row.note)}</span>` : ''}</span></p>`
+  )).join('');
+}
+
+// Preview photo
+function previewPhoto(photoId) {
+  const photo = state.photos.find(p => p.id === photoId);
+  if (!photo) return;
+  
+  state.currentPreview = photo;
+  
+  const isVideo = photo.mediaType === 'video';
+  const image = document.getElementById('previewImage');
+  const video = document.getElementById('previewVideo');
+  image.classList.toggle('hidden', isVideo);
+  video.classList.toggle('hidden', !isVideo);
+  if (video.getAttribute('src')) {
+    URL.revokeObjectURL(video.src);
+    video.removeAttribute('src');
+  }
+  if (isVideo) {
+    video.poster = getPhotoUrl(photo);
+    video.src = URL.createObjectURL(photo.imageBlob);
+  } else {
+    image.src = getPhotoUrl(photo);
+  }
+  
+  const sections = getPhotoDetailSections(photo);
+  const divider = '<div class="border-t border-slate-700 my-2 pt-2"></div>';
+  let metadataHtml = renderPreviewRows(sections.capture);
+  if (isVideo) {
+    metadataHtml += `
+      <div class="flex gap-1.5 justify-end">
+        ${Object.keys(TRACK_SIDECARS).map(format => `<button onclick="downloadTrackSidecar('${format}')" class="px-2 py-0.5 bg-slate-800 hover:bg-slate-700 rounded text-[10px] text-slate-300 transition">${format.toUpperCase()}</button>`).join('')}
+      </div>
+    `;
+  }
+  metadataHtml += divider + renderPreviewRows(sections.time);
+  metadataHtml += divider + renderPreviewRows(sections.location);
+
+  if (photo.locationDecipher) {
+    metadataHtml += `
+      <div class="bg-slate-800/50 rounded-lg p-2 mt-2">
+        <p class="text-xs text-slate-400">${photo.locationDecipher.hemisphere.lat}ern hemisphere • ${photo.locationDecipher.locationType}</p>
+        <p class="text-xs text-slate-500">${photo.locationDecipher.seasonHint}</p>
+        <a href="${photo.locationDecipher.mapUrl}" target="_blank" class="text-xs text-blue-400 hover:text-blue-300 mt-1 inline-block">🗺️ View on Map</a>
+      </div>
+    `;
+  }
+
+  metadataHtml += `
+    ${divider}
+    ${renderPreviewRows(sections.context)}
+    <div id="previewUpload">${renderPreviewUpload(photo)}</div>
+  `;
+
+  // Notes render as chips here; the report prints sections.notes as rows
+  metadataHtml += `
+    ${divider}
+    <div class="font-sans">${renderAnnotationHtml(photo) || '<p class="text-slate-600">No notes</p>'}</div>
+    <button onclick="showAnnotate('${photo.id}')" class="text-emerald-400 hover:text-emerald-300">✏️ Edit notes &amp; tags</button>
+  `;
+
+  if (sections.integrity.length) {
+    metadataHtml += divider + renderPreviewRows(sections.integrity);
+  }
+  
+  document.getElementById('previewMetadata').innerHTML = metadataHtml;
+  
+  document.getElementById('previewModal').classList.remove('hidden');
+}
+
+// Close preview
+function closePreview() {
+  document.getElementById('previewModal').classList.add('hidden');
+  state.currentPreview = null;
+
+  // Stop and release the previewed clip
+  const video = document.getElementById('previewVideo');
+  if (video.getAttribute('src')) {
+    video.pause();
+    URL.revokeObjectURL(video.src);
+    video.removeAttribute('src');
+    video.load();
+  }
+}
+
+// Share photo
+async function sharePhoto() {
+  if (!state.currentPreview) return;
+  
+  const photo = state.currentPreview;
+  const captureFile = getCaptureFile(photo);
+  const text = `TraceCam ${captureFile.label}\n${photo.id}\n${photo.timestampLocal}\n${photo.location?.latitude.toFixed(6)}, ${photo.location?.longitude.toFixed(6)}`;
+  
+  if (navigator.share) {
+    try {
+      const file = new File([await getPhotoBlob(photo)], captureFile.name, { type: captureFile.mimeType });
+      
+      await navigator.share({
+        title: `TraceCam ${captureFile.label}`,
+        text,
+        files: [file]
+      });
+    } catch (e) {
+      if (e.name !== 'AbortError') {
+        await navigator.clipboard.writeText(text);
+        showToast('Copied to clipboard', 'success');
+      }
+    }
+  } else {
+    await navigator.clipboard.writeText(text);
+    showToast('Copied to clipboard', 'success');
+  }
+}
+
+// Download photo
+function downloadPhoto() {
+  if (!state.currentPreview) return;
+  downloadPhotoDirect(state.currentPreview);
+}
+
+// Delete previewed photo
+async function deletePhoto() {
+  const photo = state.currentPreview;
+  if (!photo) return;
+  if (!confirm(`Delete ${photo.id}? The log entry is kept. This cannot be undone.`)) return;
+
+  try {
+    await dbDelete(PHOTOS_STORE, photo.id);
+  } catch (error) {
+    console.error('Failed to delete photo:', error);
+    showToast('Failed to delete photo', 'error');
+    return;
+  }
+
+  state.photos = state.photos.filter(p => p.id !== photo.id);
+  await removeUploads([photo.id]);
+  if (photoUrls.has(photo.id)) {
+    URL.revokeObjectURL(photoUrls.get(photo.id));
+    photoUrls.delete(photo.id);
+  }
+  updatePhotoCount();
+  closePreview();
+  showGallery();
+  showToast('Photo deleted', 'success');
+}
+
+// Show logs
+function showLogs() {
+  document.getElementById('chainStatus').classList.add('hidden');
+  populateFilterOptions('logs', getProjectLogs());
+  renderLogs();
+  document.getElementById('logsModal').classList.remove('hidden');
+}
+
+// Render logs with current filters
+function renderLogs() {
+  const container = document.getElementById('logsContainer');
+  const filters = getFilterValues('logs');
+  const projectLogs = getProjectLogs();
+  const logs = filterRecords(projectLogs, filters);
+  
+  if (projectLogs.length > 0 && hasActiveFilters(filters)) {
+    document.getElementById('logsSummary').textContent = `${logs.length} of ${projectLogs.length} captures`;
+  } else {
+    updateLogCount();
+  }
+  
+  if (logs.length === 0 && projectLogs.length > 0) {
+    container.innerHTML = `
+      <div class="text-center py-12">
+        <p class="text-slate-500 text-sm">No matching captures</p>
+        <button onclick="clearFilters('logs')" class="text-emerald-400 text-xs mt-2">Clear filters</button>
+      </div>
+    `;
+  } else if (logs.length === 0) {
+    container.innerHTML = `
+      <div class="text-center py-12">
+        <div class="w-16 h-16 bg-slate-800 rounded-full flex items-center justify-center mx-auto mb-4">
+          <svg class="w-8 h-8 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
+          </svg>
+        </div>
+        <p class="text-slate-500 text-sm">No captures yet</p>
+        <p class="text-slate-600 text-xs mt-1">Take a photo to start logging</p>
+      </div>
+    `;
+  } else {
+    container.innerHTML = logs.map(log => `
+      <div class="bg-slate-800/50 rounded-xl p-4 border border-slate-700/50 mb-3" data-log-id="${log.id}">
+        <div class="flex items-center justify-between mb-2">
+          <span class="font-mono text-sm text-emerald-400">${log.id}</span>
+          <span class="text-[10px] text-slate-500">${log.timestampLocal}</span>
+        </div>
+        <div class="text-xs space-y-1 text-slate-400">
+          ${log.latitude ? `<p class="flex items-center gap-1"><span>📍</span> ${log.latitude.toFixed(6)}, ${log.longitude.toFixed(6)} <span class="text-slate-600">(±${log.accuracy?.toFixed(0) || '?'}m)</span></p>` : '<p class="text-slate-600">📍 No location</p>'}
+          <p class="flex items-center gap-1"><span>🕐</span> ${log.timezone}</p>
+          ${log.projectName ? `<p class="flex items-center gap-1"><span>📁</span> ${log.projectName}</p>` : ''}
+          ${formatRecordSite(log) ? `<p class="flex items-center gap-1 ${log.offSite ? 'text-yellow-400' : ''}"><span>🏗️</span> ${escapeXml(formatRecordSite(log))}</p>` : ''}
+          ${log.checklistItem ? `<p class="flex items-center gap-1"><span>☑️</span> ${escapeXml(log.checklistItem.label)}</p>` : ''}
+          ${log.operatorName ? `<p class="flex items-center gap-1"><span>👤</span> ${log.operatorName}</p>` : ''}
+          ${log.hash ? `<p class="flex items-center gap-1 font-mono text-slate-600"><span>🔗</span> #${log.seq} ${log.hash.substring(0, 16)}…</p>` : ''}
+          ${renderAnnotationHtml(log)}
+          <button onclick="showAnnotate('${log.id}')" class="text-emerald-400 hover:text-emerald-300">✏️ ${log.notes || (log.tags || []).length ? 'Edit note' : 'Add note'}</button>
+        </div>
+      </div>
+    `).join('');
+  }
+}
+
+// Close logs
+function closeLogs() {
+  document.getElementById('logsModal').classList.add('hidden');
+}
+
+// Clear logs
+async function clearLogs() {
+  const project = getActiveProject();
+  if (confirm(`Clear all logs and GPS tracks of ${project.name}? This cannot be undone.`)) {
+    try {
+      await dbDeleteAll(LOGS_STORE, getProjectLogs(project.id).map(log => log.id));
+      await dbDeleteAll(TRACKS_STORE, getProjectTrack(project.id).map(point => point.id));
+    } catch (error) {
+      console.error('Failed to clear logs:', error);
+      showToast('Failed to clear logs', 'error');
+      return;
+    }
+    state.logs = state.logs.filter(log => getRecordProjectId(log) !== project.id);
+    state.trackPoints = state.trackPoints.filter(point => point.projectId !== project.id);
+    saveChainHead(project.id, null);
+    updateLogCount();
+    updateSessionId();
+    showLogs();
+    showToast('Logs cleared', 'success');
+  }
+}
+
+// Log export columns shared by CSV, GeoJSON, KML and GPX
+const LOG_EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', value: log => log.id },
+  { key: 'timestampUtc', header: 'Timestamp (UTC)', value: log => log.timestamp },
+  { key: 'timestampLocal', header: 'Timestamp (Local)', value: log => log.timestampLocal },
+  { key: 'timezone', header: 'Timezone', value: log => log.timezone },
+  { key: 'latitude', header: 'Latitude', value: log => log.latitude },
+  { key: 'longitude', header: 'Longitude', value: log => log.longitude },
+  { key: 'accuracy', header: 'Accuracy (m)', value: log => log.accuracy },
+  { key: 'altitude', header: 'Altitude (m)', value: log => log.altitude },
+  { key: 'bearingTrue', header: 'Bearing (°T)', value: log => log.orientation?.trueHeading },
+  { key: 'bearingMagnetic', header: 'Bearing (°M)', value: log => log.orientation?.magneticHeading },
+  { key: 'pitch', header: 'Pitch (°)', value: log => log.orientation?.pitch },
+  { key: 'roll', header: 'Roll (°)', value: log => log.orientation?.roll },
+  { key: 'fixAge', header: 'Fix Age (s)', value: log => log.fix?.ageSeconds },
+  { key: 'fixMeetsThreshold', header: 'Fix Within Threshold', value: log => (log.fix ? (log.fix.meetsThreshold ? 'yes' : 'no') : undefined) },
+  { key: 'fixAveragedSamples', header: 'Averaged Fixes', value: log => log.fix?.averagedSamples },
+  { key: 'address', header: 'Address', value: log => getRecordAddress(log) },
+  { key: 'sessionId', header: 'Session ID', value: log => log.sessionId },
+  { key: 'sessionName', header: 'Session', value: log => log.sessionName },
+  { key: 'mediaType', header: 'Media', value: log => log.mediaType || 'photo' },
+  { key: 'durationSeconds', header: 'Duration (s)', value: log => log.durationSeconds },
+  { key: 'checklistItem', header: 'Checklist Item', value: log => log.checklistItem?.label },
+  { key: 'sequenceId', header: 'Capture Sequence', value: log => log.sequence?.id },
+  { key: 'sequenceFrame', header: 'Sequence Frame', value: log => log.sequence && formatSequenceFrame(log.sequence) },
+  { key: 'projectName', header: 'Project', value: log => log.projectName },
+  { key: 'clientName', header: 'Client', value: log => log.clientName },
+  { key: 'siteId', header: 'Site ID', value: log => log.siteId },
+  { key: 'siteName', header: 'Site', value: log => formatRecordSite(log) },
+  { key: 'operatorName', header: 'Operator', value: log => log.operatorName },
+  { key: 'category', header: 'Category', value: log => log.category },
+  { key: 'tags', header: 'Tags', value: log => (log.tags || []).join('; ') },
+  { key: 'notes', header: 'Notes', value: log => log.notes },
+  { key: 'imageHash', header: 'Image SHA-256', value: log => log.imageHash },
+  { key: 'metadataHash', header: 'Metadata SHA-256', value: log => log.metadataHash },
+  { key: 'captureHash', header: 'Capture SHA-256 (QR)', value: log => log.captureHash },
+  { key: 'seq', header: 'Sequence', value: log => log.seq },
+  { key: 'prevHash', header: 'Previous Hash', value: log => log.prevHash },
+  { key: 'hash', header: 'Entry Hash', value: log => log.hash },
+  { key: 'keyId', header: 'Key ID', value: log => log.keyId },
+  { key: 'signature', header: 'Signature', value: log => log.signature }
+];
+
+// Export formats
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', build: buildLogsCsv },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json', build: buildLogsGeoJson },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: buildLogsKml },
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', build: buildLogsGpx }
+};
+
+// Get export field values for a log entry (empty values dropped)
+function getLogExportFields(log) {
+  const fields = {};
+  LOG_EXPORT_COLUMNS.forEach(column => {
+    const value = column.value(log);
+    if (value !== undefined && value !== null && value !== '') {
+      fields[column.key] = value;
+    }
+  });
+  return fields;
+}
+
+// Check whether a log entry has coordinates
+function hasCoordinates(log) {
+  return typeof log.latitude === 'number' && typeof log.longitude === 'number';
+}
+
+// Quote a CSV field when needed
+function csvEscape(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV from log entries
+function buildLogsCsv(logs) {
+  const headers = LOG_EXPORT_COLUMNS.map(column => column.header);
+  const rows = logs.map(log => LOG_EXPORT_COLUMNS.map(column => csvEscape(column.value(log))));
+  return [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+}
+
+// Build GeoJSON FeatureCollection from log entries
+function buildLogsGeoJson(logs) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: logs.filter(hasCoordinates).map(log => ({
+      type: 'Feature',
+      id: log.id,
+      geometry: {
+        type: 'Point',
+        coordinates: typeof log.altitude === 'number'
+          ? [log.longitude, log.latitude, log.altitude]
+          : [log.longitude, log.latitude]
+      },
+      properties: getLogExportFields(log)
+    }))
+  }, null, 2);
+}
+
+// Build KML placemarks from log entries
+function buildLogsKml(logs, { thumbnails = {} } = {}) {
+  const placemarks = logs.filter(hasCoordinates).map(log => {
+    const fields = getLogExportFields(log);
+    const rows = Object.entries(fields)
+      .map(([key, value]) => `<tr><td><b>${escapeXml(key)}</b></td><td>${escapeXml(value)}</td></tr>`)
+      .join('');
+    const thumbnail = thumbnails[log.id] ? `<img src="${thumbnails[log.id]}" width="240"/><br/>` : '';
+    const data = Object.entries(fields)
+      .map(([key, value]) => `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+
+    return `    <Placemark>
+      <name>${escapeXml(log.id)}</name>
+      <TimeStamp><when>${escapeXml(log.timestamp)}</when></TimeStamp>
+      <description><![CDATA[${thumbnail}<table>${rows}</table>]]></description>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${log.longitude},${log.latitude}${typeof log.altitude === 'number' ? `,${log.altitude}` : ''}</coordinates></Point>
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>TraceCam captures</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>`;
+}
+
+// Build GPX waypoints from log entries, optionally with a breadcrumb track
+function buildLogsGpx(logs, { track = [], name = 'TraceCam track' } = {}) {
+  const waypoints = logs.filter(hasCoordinates).map(log => {
+    const fields = getLogExportFields(log);
+    const extensions = Object.entries(fields)
+      .map(([key, value]) => `        <tracecam:${key}>${escapeXml(value)}</tracecam:${key}>`)
+      .join('\n');
+
+    return `  <wpt lat="${log.latitude}" lon="${log.longitude}">
+${typeof log.altitude === 'number' ? `    <ele>${log.altitude}</ele>\n` : ''}    <time>${escapeXml(log.timestamp)}</time>
+    <name>${escapeXml(log.id)}</name>
+${fields.address ? `    <desc>${escapeXml(fields.address)}</desc>\n` : ''}    <extensions>
+${extensions}
+    </extensions>
+  </wpt>`;
+  });
+
+  // One segment per session, capture points named after their capture
+  const bySession = new Map();
+  track.forEach(point => {
+    if (!bySession.has(point.sessionId)) bySession.set(point.sessionId, []);
+    bySession.get(point.sessionId).push(point);
+  });
+  const segments = [...bySession.values()].map(points => `    <trkseg>
+${points.map(point => `      <trkpt lat="${point.latitude}" lon="${point.longitude}">
+${typeof point.altitude === 'number' ? `        <ele>${point.altitude}</ele>\n` : ''}        <time>${point.timestamp}</time>
+${point.captureId ? `        <name>${escapeXml(point.captureId)}</name>\n` : ''}${typeof point.accuracy === 'number' ? `        <extensions><tracecam:accuracy>${point.accuracy}</tracecam:accuracy></extensions>\n` : ''}      </trkpt>`).join('\n')}
+    </trkseg>`);
+  const trk = segments.length ? `  <trk>
+    <name>${escapeXml(name)}</name>
+${segments.join('\n')}
+  </trk>
+` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TraceCam" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tracecam="${TRACECAM_XMP_NS}">
+  <metadata><time>${new Date().toISOString()}</time></metadata>
+${waypoints.join('\n')}
+${trk}</gpx>`;
+}
+
+// Video track sidecar formats
+const TRACK_SIDECARS = {
+  gpx: { mimeType: 'application/gpx+xml', build: buildTrackGpx },
+  geojson: { mimeType: 'application/geo+json', build: buildTrackGeoJson },
+  vtt: { mimeType: 'text/vtt', build: clip => buildTrackSubtitles(clip, 'vtt') },
+  srt: { mimeType: 'application/x-subrip', build: clip => buildTrackSubtitles(clip, 'srt') }
+};
+
+// Build a GPX track from a clip's GPS samples
+function buildTrackGpx(clip) {
+  const points = clip.track.map(point => `      <trkpt lat="${point.latitude}" lon="${point.longitude}">
+${typeof point.altitude === 'number' ? `        <ele>${point.altitude}</ele>\n` : ''}        <time>${point.timestamp}</time>
+      </trkpt>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TraceCam" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeXml(clip.id)}</name><time>${clip.timestamp}</time></metadata>
+  <trk>
+    <name>${escapeXml(clip.id)}</name>
+    <trkseg>
+${points.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>`;
+}
+
+// Build a GeoJSON line (or point) from a clip's GPS samples
+function buildTrackGeoJson(clip) {
+  const coordinates = clip.track.map(point => (typeof point.altitude === 'number'
+    ? [point.longitude, point.latitude, point.altitude]
+    : [point.longitude, point.latitude]));
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: coordinates.length ? [{
+      type: 'Feature',
+      geometry: coordinates.length === 1
+        ? { type: 'Point', coordinates: coordinates[0] }
+        : { type: 'LineString', coordinates },
+      properties: {
+        id: clip.id,
+        start: clip.timestamp,
+        end: clip.endTimestamp,
+        durationSeconds: clip.durationSeconds,
+        coordTimes: clip.track.map(point => point.timestamp),
+        accuracies: clip.track.map(point => point.accuracy)
+      }
+    }] : []
+  }, null, 2);
+}
+
+// Format seconds as a subtitle cue time (00:01:02.500, SRT uses a comma)
+function formatCueTime(seconds, format) {
+  const ms = Math.round(seconds * 1000);
+  const hh = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const mm = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const ss = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}${format === 'srt' ? ',' : '.'}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+// Build WebVTT or SRT subtitles showing time and position through the clip
+function buildTrackSubtitles(clip, format) {
+  const cues = clip.track.map((point, i) => {
+    const end = i + 1 < clip.track.length ? clip.track[i + 1].offsetSeconds : clip.durationSeconds;
+    const accuracy = typeof point.accuracy === 'number' ? ` ±${Math.round(point.accuracy)}m` : '';
+    return `${i + 1}
+${formatCueTime(point.offsetSeconds, format)} --> ${formatCueTime(Math.max(end, point.offsetSeconds), format)}
+${point.timestamp.replace('T', ' ').substring(0, 19)} UTC
+${point.latitude.toFixed(6)}, ${point.longitude.toFixed(6)}${accuracy}`;
+  });
+
+  return (format === 'vtt' ? ['WEBVTT', ...cues] : cues).join('\n\n') + '\n';
+}
+
+// Download a track sidecar for the previewed clip
+function downloadTrackSidecar(format) {
+  const clip = state.currentPreview;
+  const sidecar = TRACK_SIDECARS[format];
+  if (!clip?.track || !sidecar) return;
+  downloadBlob(new Blob([sidecar.build(clip)], { type: sidecar.mimeType }), `${clip.id}.${format}`);
+}
+
+// Create a small JPEG data URL thumbnail for a photo
+async function createThumbnail(photo, maxSize = 240) {
+  const bitmap = await createImageBitmap(photo.posterBlob || photo.imageBlob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.7);
+}
+
+// Trigger download of a blob
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Toggle export options in the logs modal
+function toggleExportOptions() {
+  const panel = document.getElementById('exportOptions');
+  panel.classList.toggle('hidden');
+  if (!panel.classList.contains('hidden')) {
+    populateExportFilters();
+  }
+}
+
+// Fill session and project filter options (project defaults to the active one)
+function populateExportFilters() {
+  const sessionSelect = document.getElementById('exportSession');
+  const sessions = [...new Set(state.logs.map(log => log.sessionId).filter(Boolean))];
+  const current = sessionSelect.value;
+  sessionSelect.innerHTML = '<option value="">All sessions</option>' +
+    sessions.map(id => `<option value="${escapeXml(id)}">${escapeXml(getSessionLabel(id))}</option>`).join('');
+  sessionSelect.value = sessions.includes(current) ? current : '';
+
+  const projectSelect = document.getElementById('exportProject');
+  projectSelect.innerHTML = '<option value="">All projects</option>' + state.projects.map(project =>
+    `<option value="${escapeXml(project.id)}">${escapeXml(project.name)}${project.archived ? ' (archived)' : ''}</option>`).join('');
+  projectSelect.value = state.settings.activeProjectId;
+}
+
+// Get log entries matching the export filters
+function getExportLogs() {
+  const sessionId = document.getElementById('exportSession')?.value;
+  const projectId = document.getElementById('exportProject')?.value;
+  return state.logs.filter(log =>
+    (!sessionId || log.sessionId === sessionId) &&
+    (!projectId || getRecordProjectId(log) === projectId));
+}
+
+// Export logs in the selected format
+async function exportLogs() {
+  const format = EXPORT_FORMATS[document.getElementById('exportFormat')?.value] || EXPORT_FORMATS.csv;
+  const logs = getExportLogs();
+
+  if (logs.length === 0) {
+    showToast('No logs to export', 'error');
+    return;
+  }
+
+  const options = {};
+  if (format === EXPORT_FORMATS.kml && document.getElementById('exportThumbnails')?.checked) {
+    showToast('Generating thumbnails...');
+    options.thumbnails = {};
+    for (const log of logs) {
+      const photo = state.photos.find(p => p.id === log.id);
+      if (!photo) continue;
+      try {
+        options.thumbnails[log.id] = await createThumbnail(photo);
+      } catch (error) {
+        console.error('Thumbnail failed:', error);
+      }
+    }
+  }
+
+  const skipped = format === EXPORT_FORMATS.csv ? 0 : logs.filter(log => !hasCoordinates(log)).length;
+  const projectId = document.getElementById('exportProject')?.value;
+  const filter = document.getElementById('exportSession')?.value || state.projects.find(p => p.id === projectId)?.name;
+  const suffix = filter ? `-${filter.replace(/[^\w-]+/g, '_')}` : '';
+  const filename = `tracecam-logs${suffix}-${new Date().toISOString().split('T')[0]}.${format.extension}`;
+
+  downloadBlob(new Blob([format.build(logs, options)], { type: format.mimeType }), filename);
+  showToast(skipped ? `Logs exported! (${skipped} without location skipped)` : 'Logs exported!', 'success');
+}
+
+// Open file picker for photo verification
+function pickVerifyPhoto() {
+  document.getElementById('verifyFileInput').click();
+}
+
+// Handle selected verification file
+async function handleVerifyFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  try {
+    await storageReady;
+    const report = await verifyPhotoFile(file);
+    showVerifyReport(report, file, file.name);
+  } catch (error) {
+    console.error('Verification failed:', error);
+    showToast('Could not read photo: ' + error.message, 'error');
+  }
+}
+
+// Verify an imported JPEG against the capture log
+async function verifyPhotoFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const embedded = readEmbeddedMetadata(bytes);
+  const fileHash = await sha256Hex(bytes);
+  const report = { status: 'unknown', subject: 'file', id: embedded.id, embedded, fileHash, log: null, photo: null, checks: [] };
+
+  const log = embedded.id ? state.logs.find(l => l.id === embedded.id) : null;
+  if (!log) return report;
+
+  const photo = state.photos.find(p => p.id === log.id) || null;
+  report.log = log;
+  report.photo = photo;
+
+  const fileMatches = log.imageHash ? fileHash === log.imageHash : null;
+  report.checks.push({
+    field: 'File hash',
+    logged: log.imageHash ? `${log.imageHash.substring(0, 16)}…` : 'not recorded',
+    embedded: `${fileHash.substring(0, 16)}…`,
+    ok: fileMatches
+  });
+
+  // Pixels: identical file, or same compressed image data as the stored original
+  let pixelsMatch = fileMatches ? true : null;
+  if (!pixelsMatch && photo) {
+    const original = new Uint8Array(await photo.imageBlob.arrayBuffer());
+    pixelsMatch = await sha256Hex(getJpegScanData(bytes)) === await sha256Hex(getJpegScanData(original));
+  }
+  report.checks.push({
+    field: 'Pixels',
+    logged: photo ? 'original on device' : 'original not on device',
+    embedded: pixelsMatch === null ? 'cannot compare' : (pixelsMatch ? 'identical' : 'different'),
+    ok: pixelsMatch
+  });
+
+  const hasLoggedCoords = typeof log.latitude === 'number';
+  const hasEmbeddedCoords = typeof embedded.latitude === 'number';
+  const coordsMatch = hasLoggedCoords && hasEmbeddedCoords
+    ? Math.abs(log.latitude - embedded.latitude) < 1e-5 && Math.abs(log.longitude - embedded.longitude) < 1e-5
+    : hasLoggedCoords === hasEmbeddedCoords;
+  report.checks.push({
+    field: 'Coordinates',
+    logged: hasLoggedCoords ? `${log.latitude.toFixed(6)}, ${log.longitude.toFixed(6)}` : 'none',
+    embedded: hasEmbeddedCoords ? `${embedded.latitude.toFixed(6)}, ${embedded.longitude.toFixed(6)}` : 'none',
+    ok: coordsMatch
+  });
+
+  const timeMatch = embedded.timestamp
+    ? Math.abs(new Date(embedded.timestamp) - new Date(log.timestamp)) < 1000
+    : false;
+  report.checks.push({
+    field: 'Timestamp',
+    logged: log.timestamp,
+    embedded: embedded.timestamp || 'missing',
+    ok: timeMatch
+  });
+
+  if (log.signature) {
+    const signatureValid = await verifyCaptureSignature(log);
+    report.checks.push({
+      field: 'Signature',
+      logged: log.keyId,
+      embedded: signatureValid === null ? 'signed by another device' : (signatureValid ? 'valid' : 'invalid'),
+      ok: signatureValid
+    });
+  }
+
+  report.status = report.checks.every(check => check.ok !== false) ? 'match' : 'mismatch';
+  return report;
+}
+
+// Parse a scanned QR payload or verification link
+function parseQrPayload(text) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(text);
+  } catch (error) {
+    decoded = text;
+  }
+
+  let latitude = null;
+  let longitude = null;
+  const geo = decoded.match(/GEO:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+  if (geo) {
+    latitude = parseFloat(geo[1]);
+    longitude = parseFloat(geo[2]);
+  } else if (/^https?:\/\//i.test(text.trim())) {
+    let params = null;
+    try {
+      params = new URL(text.trim()).searchParams;
+    } catch (error) {
+      params = null;
+    }
+    if (params?.get('lat') && params.get('lng')) {
+      latitude = parseFloat(params.get('lat'));
+      longitude = parseFloat(params.get('lng'));
+    }
+  }
+
+  return {
+    id: decoded.match(/IMG-[A-Z0-9]+-[A-Z0-9]+/)?.[0] || null,
+    timestamp: decoded.match(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/)?.[0] || null,
+    latitude,
+    longitude,
+    hash: decoded.match(/\b[0-9a-f]{64}\b/i)?.[0].toLowerCase() || null
+  };
+}
+
+// Verify a scanned QR payload against the capture log
+async function verifyQrPayload(text) {
+  const scanned = parseQrPayload(text);
+  const report = { status: 'unknown', subject: 'qr', id: scanned.id, embedded: scanned, fileHash: null, log: null, photo: null, checks: [] };
+
+  const log = scanned.id ? state.logs.find(l => l.id === scanned.id) : null;
+  if (!log) return report;
+
+  report.log = log;
+  report.photo = state.photos.find(p => p.id === log.id) || null;
+
+  if (scanned.hash) {
+    // Recompute from the logged record instead of trusting its stored hash
+    const expected = await hashCaptureStamp(log);
+    report.checks.push({
+      field: 'Capture hash',
+      logged: `${expected.substring(0, 16)}…`,
+      embedded: `${scanned.hash.substring(0, 16)}…`,
+      ok: scanned.hash === expected && (!log.captureHash || log.captureHash === expected)
+    });
+  }
+
+  if (scanned.timestamp) {
+    report.checks.push({
+      field: 'Timestamp',
+      logged: log.timestamp,
+      embedded: scanned.timestamp,
+      ok: Math.abs(new Date(scanned.timestamp) - new Date(log.timestamp)) < 1000
+    });
+  }
+
+  if (typeof scanned.latitude === 'number') {
+    const hasLoggedCoords = typeof log.latitude === 'number';
+    report.checks.push({
+      field: 'Coordinates',
+      logged: hasLoggedCoords ? `${log.latitude.toFixed(6)}, ${log.longitude.toFixed(6)}` : 'none',
+      embedded: `${scanned.latitude.toFixed(6)}, ${scanned.longitude.toFixed(6)}`,
+      ok: hasLoggedCoords && Math.abs(log.latitude - scanned.latitude) < 1e-5 && Math.abs(log.longitude - scanned.longitude) < 1e-5
+    });
+  }
+
+  report.status = report.checks.every(check => check.ok !== false) ? 'match' : 'mismatch';
+  return report;
+}
+
+// Check text pasted from a QR scanner app
+async function checkScannedQr() {
+  const text = prompt('Paste the text or link from the scanned QR code');
+  if (!text || !text.trim()) return;
+
+  await storageReady;
+  const report = await verifyQrPayload(text.trim());
+  showVerifyReport(report, report.photo?.imageBlob, 'Scanned QR code');
+}
+
+// Verify the capture named in a verification link that opened the app (?verify=<photo ID>)
+async function checkVerifyLink() {
+  const link = window.location.href;
+  if (!new URLSearchParams(window.location.search).has('verify')) return;
+
+  history.replaceState(null, '', window.location.pathname);
+  const report = await verifyQrPayload(link);
+  showVerifyReport(report, report.photo?.imageBlob, 'Verification link');
+}
+
+// Show verification report (image is the checked file or the logged photo)
+function showVerifyReport(report, image, sourceName) {
+  const imageElement = document.getElementById('verifyImage');
+  if (imageElement.src) URL.revokeObjectURL(imageElement.src);
+  if (image) {
+    imageElement.src = URL.createObjectURL(image);
+  } else {
+    imageElement.removeAttribute('src');
+  }
+  imageElement.classList.toggle('hidden', !image);
+
+  const subject = report.subject === 'qr' ? 'QR code' : 'file';
+  const banners = {
+    match: ['bg-emerald-600/20 text-emerald-300', '✓ Match', `This ${subject} matches the capture log.`],
+    mismatch: ['bg-red-600/20 text-red-300', '✕ Mismatch', `This ${subject} differs from the logged capture.`],
+    unknown: ['bg-yellow-600/20 text-yellow-300', '? Unknown ID', report.id
+      ? `${report.id} is not in this device's capture log.`
+      : `No TraceCam photo ID found in this ${subject}.`]
+  };
+  const [classes, title, description] = banners[report.status];
+
+  let html = `
+    <div class="rounded-lg p-3 mb-2 ${classes}">
+      <p class="font-sans font-bold text-sm">${title}</p>
+      <p class="font-sans">${description}</p>
+    </div>
+    <p class="flex justify-between"><span class="text-slate-500">Source:</span><span class="text-white text-right ml-2 truncate">${escapeXml(sourceName)}</span></p>
+    <p class="flex justify-between"><span class="text-slate-500">ID:</span><span class="text-white">${report.id ? escapeXml(report.id) : '—'}</span></p>
+    ${report.fileHash ? `
+      <p class="text-slate-500">File SHA-256:</p>
+      <p class="text-white break-all">${report.fileHash}</p>
+    ` : ''}
+  `;
+
+  if (report.checks.length) {
+    html += `<div class="border-t border-slate-700 my-2 pt-2"></div>`;
+    html += report.checks.map(check => `
+      <div class="py-1">
+        <p class="flex justify-between"><span class="text-slate-500">${check.field}:</span><span class="${check.ok === false ? 'text-red-400' : check.ok ? 'text-emerald-400' : 'text-yellow-400'}">${check.ok === false ? '✕ differs' : check.ok ? '✓ matches' : '– not checked'}</span></p>
+        <p class="flex justify-between text-[10px]"><span class="text-slate-600">Logged</span><span class="text-slate-300 text-right ml-2 break-all">${escapeXml(check.logged)}</span></p>
+        <p class="flex justify-between text-[10px]"><span class="text-slate-600">In ${subject}</span><span class="text-slate-300 text-right ml-2 break-all">${escapeXml(check.embedded)}</span></p>
+      </div>
+    `).join('');
+  }
+
+  if (report.photo) {
+    html += `
+      <button onclick="closeVerify(); previewPhoto('${report.photo.id}')" class="w-full mt-2 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg text-xs font-sans transition">
+        View logged capture
+      </button>
+    `;
+  }
+
+  document.getElementById('verifyResult').innerHTML = html;
+  document.getElementById('verifyModal').classList.remove('hidden');
+}
+
+// Close verification view
+function closeVerify() {
+  document.getElementById('verifyModal').classList.add('hidden');
+}
+
+// Capture categories and suggested tags
+const CAPTURE_CATEGORIES = ['Defect', 'Progress', 'Safety', 'Inspection', 'Damage', 'Other'];
+const SUGGESTED_TAGS = ['defect', 'before', 'after', 'progress', 'safety'];
+let annotatingId = null;
+
+// Parse comma-separated tags
+function parseTags(text) {
+  return [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Get all tags used so far, most used first
+function getKnownTags() {
+  const counts = {};
+  state.logs.forEach(log => (log.tags || []).forEach(tag => {
+    counts[tag] = (counts[tag] || 0) + 1;
+  }));
+  SUGGESTED_TAGS.forEach(tag => {
+    counts[tag] = counts[tag] || 0;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+}
+
+// Open note and tag entry for a capture
+function showAnnotate(id) {
+  const record = state.logs.find(log => log.id === id) || state.photos.find(photo => photo.id === id);
+  if (!record) return;
+
+  annotatingId = id;
+  document.getElementById('annotateTitle').textContent = id;
+  document.getElementById('annotateNotes').value = record.notes || '';
+  document.getElementById('annotateTags').value = (record.tags || []).join(', ');
+  document.getElementById('annotateCategory').innerHTML = `<option value="">No category</option>` +
+    CAPTURE_CATEGORIES.map(category => `<option value="${category}">${category}</option>`).join('');
+  document.getElementById('annotateCategory').value = record.category || '';
+  renderTagSuggestions();
+
+  document.getElementById('annotateModal').classList.remove('hidden');
+}
+
+// Render quick tag buttons
+function renderTagSuggestions() {
+  const selected = parseTags(document.getElementById('annotateTags').value);
+  document.getElementById('annotateTagSuggestions').innerHTML = getKnownTags().slice(0, 10).map(tag => `
+    <button type="button" data-tag="${escapeXml(tag)}" onclick="toggleAnnotateTag(this.dataset.tag)" class="px-2 py-1 rounded-full text-xs transition ${selected.includes(tag) ? 'bg-emerald-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}">#${escapeXml(tag)}</button>
+  `).join('');
+}
+
+// Toggle a quick tag in the tag field
+function toggleAnnotateTag(tag) {
+  const input = document.getElementById('annotateTags');
+  const tags = parseTags(input.value);
+  input.value = (tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag]).join(', ');
+  renderTagSuggestions();
+}
+
+// Close note entry without saving
+function closeAnnotate() {
+  document.getElementById('annotateModal').classList.add('hidden');
+  annotatingId = null;
+}
+
+// Save note, tags and category on the photo and its log entry
+async function saveAnnotation() {
+  if (!annotatingId) return;
+
+  const annotation = {
+    notes: document.getElementById('annotateNotes').value.trim(),
+    tags: parseTags(document.getElementById('annotateTags').value),
+    category: document.getElementById('annotateCategory').value,
+    annotatedAt: new Date().toISOString()
+  };
+
+  try {
+    const log = state.logs.find(l => l.id === annotatingId);
+    if (log) {
+      Object.assign(log, annotation);
+      await saveLog(log);
+    }
+    const photo = state.photos.find(p => p.id === annotatingId);
+    if (photo) {
+      Object.assign(photo, annotation);
+      await savePhoto(photo);
+    }
+  } catch (error) {
+    console.error('Failed to save note:', error);
+    showToast('Failed to save note', 'error');
+    return;
+  }
+
+  const id = annotatingId;
+  closeAnnotate();
+  showToast('Note saved', 'success');
+
+  if (state.currentPreview?.id === id) previewPhoto(id);
+  if (!document.getElementById('galleryModal').classList.contains('hidden')) renderGallery();
+  if (!document.getElementById('logsModal').classList.contains('hidden')) renderLogs();
+}
+
+// Local calendar date (YYYY-MM-DD) of an ISO timestamp
+function toLocalDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Read filter inputs for the gallery or logs modal
+function getFilterValues(prefix) {
+  return {
+    search: document.getElementById(`${prefix}FilterSearch`).value.trim().toLowerCase(),
+    tag: document.getElementById(`${prefix}FilterTag`).value,
+    date: document.getElementById(`${prefix}FilterDate`).value,
+    sessionId: document.getElementById(`${prefix}FilterSession`).value
+  };
+}
+
+// Check whether any filter is set
+function hasActiveFilters(filters) {
+  return Object.values(filters).some(Boolean);
+}
+
+// Filter photos or log entries
+function filterRecords(records, filters) {
+  return records.filter(record => {
+    if (filters.tag && !(record.tags || []).includes(filters.tag)) return false;
+    if (filters.sessionId && record.sessionId !== filters.sessionId) return false;
+    if (filters.date && toLocalDateKey(record.timestamp) !== filters.date) return false;
+    if (filters.search) {
+      const haystack = [
+        record.id, record.notes, record.category, (record.tags || []).join(' '),
+        getRecordAddress(record), record.projectName, record.clientName, record.operatorName, record.sessionId, record.sessionName, record.siteName, record.checklistItem?.label
+      ].filter(Boolean).join(' ').toLowerCase();
+      if (!haystack.includes(filters.search)) return false;
+    }
+    return true;
+  });
+}
+
+// Fill tag and session filter options
+function populateFilterOptions(prefix, records) {
+  const fill = (id, values, label, format = value => value) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="">${label}</option>` +
+      values.map(value => `<option value="${escapeXml(value)}">${escapeXml(format(value))}</option>`).join('');
+    select.value = values.includes(current) ? current : '';
+  };
+
+  const tags = [...new Set(records.flatMap(record => record.tags || []))].sort();
+  const sessions = [...new Set(records.map(record => record.sessionId).filter(Boolean))];
+  fill(`${prefix}FilterTag`, tags, 'All tags', tag => `#${tag}`);
+  fill(`${prefix}FilterSession`, sessions, 'All sessions', getSessionLabel);
+}
+
+// Clear filters for the gallery or logs modal
+function clearFilters(prefix) {
+  ['Search', 'Tag', 'Date', 'Session'].forEach(name => {
+    document.getElementById(`${prefix}Filter${name}`).value = '';
+  });
+  if (prefix === 'gallery') renderGallery();
+  else renderLogs();
+}
+
+// Render notes, category and tags for a record
+function renderAnnotationHtml(record) {
+  if (!record.notes && !record.category && !(record.tags || []).length) return '';
+  return `
+    ${record.category ? `<span class="inline-block px-2 py-0.5 rounded-full bg-blue-600/20 text-blue-300 text-[10px] mr-1">${escapeXml(record.category)}</span>` : ''}
+    ${(record.tags || []).map(tag => `<span class="inline-block px-2 py-0.5 rounded-full bg-slate-700 text-slate-300 text-[10px] mr-1">#${escapeXml(tag)}</span>`).join('')}
+    ${record.notes ? `<p class="text-slate-300 mt-1 whitespace-pre-wrap">${escapeXml(record.notes)}</p>` : ''}
+  `;
+}
+
+// Generate project ID
+function generateProjectId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `PRJ-${timestamp}-${random}`;
+}
+
+// Build the default project from the old single-project settings
+function createDefaultProject() {
+  const legacy = state.settings;
+  return {
+    id: DEFAULT_PROJECT_ID,
+    name: legacy.projectName || 'Default project',
+    client: '',
+    defaultOperator: '',
+    overlay: {
+      coordsOnImage: legacy.coordsOnImage ?? DEFAULT_OVERLAY.coordsOnImage,
+      timestampOnImage: legacy.timestampOnImage ?? DEFAULT_OVERLAY.timestampOnImage,
+      compassOnImage: DEFAULT_OVERLAY.compassOnImage,
+      watermarkEnabled: legacy.watermarkEnabled ?? DEFAULT_OVERLAY.watermarkEnabled
+    },
+    archived: false,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Load projects, creating the default project on first run
+async function loadProjects() {
+  let projects = await dbGetAll(PROJECTS_STORE);
+  if (projects.length === 0) {
+    const project = createDefaultProject();
+    await dbPut(PROJECTS_STORE, project);
+    projects = [project];
+  }
+  projects = await Promise.all(projects.map(migrateProjectOverlay));
+  state.projects = projects.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  // Project name and overlay now live on the project record
+  ['projectName', 'coordsOnImage', 'timestampOnImage', 'watermarkEnabled'].forEach(key => delete state.settings[key]);
+  if (!state.projects.some(p => p.id === state.settings.activeProjectId && !p.archived)) {
+    state.settings.activeProjectId = (state.projects.find(p => !p.archived) || state.projects[0]).id;
+  }
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  updateProjectSwitcher();
+}
+
+// Replace a project's overlay toggles with an overlay template
+async function migrateProjectOverlay(project) {
+  if (!project.overlay) return project;
+
+  const overlay = { ...DEFAULT_OVERLAY, ...project.overlay };
+  let templateId = 'classic';
+  if (!overlay.coordsOnImage || !overlay.timestampOnImage || !overlay.compassOnImage || overlay.watermarkEnabled) {
+    const classic = getTemplate('classic');
+    const enabled = { heading: overlay.compassOnImage, coords: overlay.coordsOnImage, utc: overlay.timestampOnImage, timestamp: overlay.timestampOnImage };
+    const template = {
+      ...classic,
+      id: generateTemplateId(),
+      name: `${project.name} layout`,
+      builtIn: false,
+      fields: classic.fields.filter(field => enabled[field]),
+      compassRose: overlay.compassOnImage,
+      watermark: overlay.watermarkEnabled,
+      createdAt: new Date().toISOString()
+    };
+    await dbPut(TEMPLATES_STORE, template);
+    state.templates.push(template);
+    templateId = template.id;
+  }
+
+  const migrated = { ...omitFields(project, ['overlay']), templateId };
+  await dbPut(PROJECTS_STORE, migrated);
+  return migrated;
+}
+
+// Get the active project
+function getActiveProject() {
+  return state.projects.find(p => p.id === state.settings.activeProjectId) || state.projects[0] || createDefaultProject();
+}
+
+// Operator recorded for a project's captures (the project's default operator wins over the device-wide name)
+function getOperatorName(project) {
+  return project.defaultOperator || state.settings.operatorName;
+}
+
+// Get the project a photo or log entry belongs to (older records predate projects)
+function getRecordProjectId(record) {
+  return record.projectId || DEFAULT_PROJECT_ID;
+}
+
+// Get photos of a project
+function getProjectPhotos(projectId = state.settings.activeProjectId) {
+  return state.photos.filter(photo => getRecordProjectId(photo) === projectId);
+}
+
+// Get log entries of a project
+function getProjectLogs(projectId = state.settings.activeProjectId) {
+  return state.logs.filter(log => getRecordProjectId(log) === projectId);
+}
+
+// Show the active project in the header
+function updateProjectSwitcher() {
+  document.getElementById('activeProjectName').textContent = getActiveProject().name;
+  updateStampNoteInput();
+  updateSiteStatus();
+  updateChecklistPicker();
+}
+
+// Show projects
+function showProjects() {
+  closeProjectEditor();
+  renderProjects();
+  document.getElementById('projectsModal').classList.remove('hidden');
+}
+
+// Close projects
+function closeProjects() {
+  document.getElementById('projectsModal').classList.add('hidden');
+}
+
+// Render project list with counts and actions
+function renderProjects() {
+  const container = document.getElementById('projectsContainer');
+  const activeId = state.settings.activeProjectId;
+  const projects = [...state.projects].sort((a, b) => Number(a.archived) - Number(b.archived));
+
+  container.innerHTML = projects.map(project => {
+    const isActive = project.id === activeId;
+    const photoCount = getProjectPhotos(project.id).length;
+    const logCount = getProjectLogs(project.id).length;
+    return `
+      <div class="bg-slate-800/50 rounded-xl p-4 border ${isActive ? 'border-emerald-500/50' : 'border-slate-700/50'} ${project.archived ? 'opacity-60' : ''}">
+        <div class="flex items-start justify-between gap-2 mb-2">
+          <div class="min-w-0">
+            <p class="text-sm font-medium truncate">${escapeXml(project.name)}</p>
+            ${project.client ? `<p class="text-xs text-slate-400 truncate">${escapeXml(project.client)}</p>` : ''}
+            <p class="text-xs text-slate-500">${photoCount} photo${photoCount === 1 ? '' : 's'} • ${logCount} capture${logCount === 1 ? '' : 's'} logged</p>
+          </div>
+          ${isActive ? '<span class="px-2 py-0.5 rounded-full bg-emerald-600/20 text-emerald-300 text-[10px] flex-shrink-0">Active</span>' : ''}
+          ${project.archived ? '<span class="px-2 py-0.5 rounded-full bg-slate-700 text-slate-400 text-[10px] flex-shrink-0">Archived</span>' : ''}
+        </div>
+        <div class="flex flex-wrap gap-1.5">
+          ${!isActive && !project.archived ? `<button onclick="switchProject('${project.id}')" class="px-2 py-1 bg-emerald-600 hover:bg-emerald-700 rounded text-xs transition">Switch</button>` : ''}
+          <button onclick="showProjectEditor('${project.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Edit</button>
+          <button onclick="showSites('${project.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Sites${getProjectSites(project).length ? ` (${getProjectSites(project).length})` : ''}</button>
+          <button onclick="showReport('${project.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Report</button>
+          <button onclick="exportBundle('${project.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Export</button>
+          ${isActive ? '' : `<button onclick="toggleArchiveProject('${project.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">${project.archived ? 'Unarchive' : 'Archive'}</button>`}
+          ${isActive ? '' : `<button onclick="deleteProject('${project.id}')" class="px-2 py-1 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded text-xs transition">Delete</button>`}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Switch the active project
+function switchProject(id) {
+  const project = state.projects.find(p => p.id === id);
+  if (!project || project.archived) return;
+
+  // Switching ends a session of another project, possibly before its checklist is done
+  const session = getActiveSession();
+  const endsSession = session && session.projectId !== id;
+  if (endsSession && !confirmEndIncomplete(session)) return;
+
+  state.settings.activeProjectId = id;
+  state.checklistItemId = null;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  if (endsSession) stopActiveSession();
+  updateProjectSwitcher();
+  updatePhotoCount();
+  updateLogCount();
+  renderProjects();
+  showToast(`Switched to ${project.name}`, 'success');
+}
+
+// Open the project editor (no ID = new project)
+function showProjectEditor(id = null) {
+  const project = state.projects.find(p => p.id === id);
+  editingProjectId = project ? project.id : null;
+
+  document.getElementById('projectEditorTitle').textContent = project ? 'Edit Project' : 'New Project';
+  document.getElementById('projectEditName').value = project?.name || '';
+  document.getElementById('projectEditClient').value = project?.client || '';
+  document.getElementById('projectEditOperator').value = project?.defaultOperator || '';
+  populateTemplateSelect(project?.templateId || getActiveProject().templateId);
+  populateChecklistSelect(project?.checklistId || '');
+  document.getElementById('projectEditor').classList.remove('hidden');
+  document.getElementById('projectEditName').focus();
+}
+
+// Close the project editor
+function closeProjectEditor() {
+  editingProjectId = null;
+  document.getElementById('projectEditor').classList.add('hidden');
+}
+
+// Save the project from the editor
+async function saveProject() {
+  const name = document.getElementById('projectEditName').value.trim();
+  if (!name) {
+    showToast('Project name is required', 'error');
+    return;
+  }
+
+  const existing = state.projects.find(p => p.id === editingProjectId);
+  const project = {
+    ...(existing || { id: generateProjectId(), archived: false, createdAt: new Date().toISOString() }),
+    name,
+    client: document.getElementById('projectEditClient').value.trim(),
+    defaultOperator: document.getElementById('projectEditOperator').value.trim(),
+    templateId: document.getElementById('projectEditTemplate').value,
+    checklistId: document.getElementById('projectEditChecklist').value
+  };
+
+  try {
+    await dbPut(PROJECTS_STORE, project);
+  } catch (error) {
+    console.error('Failed to save project:', error);
+    showToast('Failed to save project', 'error');
+    return;
+  }
+
+  state.projects = existing
+    ? state.projects.map(p => (p.id === project.id ? project : p))
+    : [...state.projects, project];
+  closeProjectEditor();
+  if (existing) {
+    updateProjectSwitcher();
+    renderProjects();
+    showToast('Project saved', 'success');
+  } else {
+    renderProjects();
+    switchProject(project.id);
+  }
+}
+
+// Archive or unarchive a finished project
+async function toggleArchiveProject(id) {
+  const project = state.projects.find(p => p.id === id);
+  if (!project || id === state.settings.activeProjectId) return;
+
+  const updated = { ...project, archived: !project.archived };
+  try {
+    await dbPut(PROJECTS_STORE, updated);
+  } catch (error) {
+    console.error('Failed to archive project:', error);
+    showToast('Failed to update project', 'error');
+    return;
+  }
+
+  state.projects = state.projects.map(p => (p.id === id ? updated : p));
+  renderProjects();
+  showToast(updated.archived ? 'Project archived' : 'Project restored', 'success');
+}
+
+// Delete a project with its photos, logs and chain head
+async function deleteProject(id) {
+  const project = state.projects.find(p => p.id === id);
+  if (!project || id === state.settings.activeProjectId) return;
+
+  const photos = getProjectPhotos(id);
+  const logs = getProjectLogs(id);
+  if (!confirm(`Delete ${project.name} with ${photos.length} photos and ${logs.length} log entries? This cannot be undone.`)) return;
+
+  try {
+    await dbDeleteAll(PHOTOS_STORE, photos.map(photo => photo.id));
+    await dbDeleteAll(LOGS_STORE, logs.map(log => log.id));
+    await dbDeleteAll(SESSIONS_STORE, state.sessions.filter(s => s.projectId === id).map(s => s.id));
+    await dbDeleteAll(TRACKS_STORE, getProjectTrack(id).map(point => point.id));
+    await dbDelete(PROJECTS_STORE, id);
+  } catch (error) {
+    console.error('Failed to delete project:', error);
+    showToast('Failed to delete project', 'error');
+    return;
+  }
+
+  photos.forEach(photo => {
+    if (photoUrls.has(photo.id)) {
+      URL.revokeObjectURL(photoUrls.get(photo.id));
+      photoUrls.delete(photo.id);
+    }
+  });
+  await removeUploads(photos.map(photo => photo.id));
+  state.photos = state.photos.filter(photo => getRecordProjectId(photo) !== id);
+  state.logs = state.logs.filter(log => getRecordProjectId(log) !== id);
+  state.sessions = state.sessions.filter(s => s.projectId !== id);
+  state.trackPoints = state.trackPoints.filter(point => point.projectId !== id);
+  state.projects = state.projects.filter(p => p.id !== id);
+  saveChainHead(id, null);
+  renderProjects();
+  showToast('Project deleted', 'success');
+}
+
+// Generate site ID
+function generateSiteId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `SITE-${timestamp}-${random}`;
+}
+
+// Get the sites of a project
+function getProjectSites(project = getActiveProject()) {
+  return project?.sites || [];
+}
+
+// Point in polygon by ray casting (ring of [lng, lat] pairs, closed or open)
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Check whether a coordinate lies within a site
+function isPointInSite(site, lat, lng) {
+  if (site.shape === 'circle') {
+    return distanceMeters(lat, lng, site.center[1], site.center[0]) <= site.radiusM;
+  }
+  return isPointInRing(lat, lng, site.coordinates);
+}
+
+// Find the project site containing a position (null when outside all or no fix)
+function findSite(position, project = getActiveProject()) {
+  if (!position) return null;
+  const { latitude, longitude } = position.coords;
+  return getProjectSites(project).find(site => isPointInSite(site, latitude, longitude)) || null;
+}
+
+// Site fields recorded with a capture (projects without sites record none)
+function getSiteFields(position, project = getActiveProject()) {
+  if (getProjectSites(project).length === 0) return {};
+  const site = findSite(position, project);
+  return site ? { siteId: site.id, siteName: site.name } : { offSite: true };
+}
+
+// Site label of a capture record
+function formatRecordSite(record) {
+  return record.siteName || (record.offSite ? 'Off site' : '');
+}
+
+// Warn or block a capture outside every site of the active project
+function passesSiteGate(position, action = 'Capture') {
+  const mode = state.settings.siteGateMode;
+  if (mode === 'off' || !getSiteFields(position).offSite) return true;
+  if (mode === 'block') {
+    showToast(`${action} blocked: outside all project sites`, 'error');
+    return false;
+  }
+  showToast('Outside all project sites', 'error');
+  return true;
+}
+
+// Show on site / off site in the camera status bar
+function updateSiteStatus() {
+  const badge = document.getElementById('siteStatus');
+  const sites = getProjectSites();
+  badge.classList.toggle('hidden', sites.length === 0);
+  if (sites.length === 0) return;
+
+  const site = findSite(state.position);
+  badge.textContent = site ? `🏗️ ${site.name}` : '⚠️ Off site';
+  badge.title = site ? 'On site' : 'Outside all project sites';
+  badge.className = `text-[10px] px-2 py-0.5 rounded-full truncate max-w-[40%] ${site ? 'bg-emerald-500/30 text-emerald-300' : 'bg-yellow-500/30 text-yellow-300'}`;
+}
+
+// Approximate site area in square meters (local flat projection)
+function measureSiteArea(site) {
+  if (site.shape === 'circle') return Math.PI * site.radiusM ** 2;
+  const [lng0, lat0] = site.coordinates[0];
+  const metersPerDegree = 111320;
+  const points = site.coordinates.map(([lng, lat]) => [
+    (lng - lng0) * metersPerDegree * Math.cos(lat0 * Math.PI / 180),
+    (lat - lat0) * metersPerDegree
+  ]);
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    sum += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+  }
+  return Math.abs(sum / 2);
+}
+
+// Describe a site's shape and size
+function describeSite(site) {
+  const area = measureSiteArea(site);
+  const size = area >= 10000 ? `${(area / 10000).toFixed(2)} ha` : `${Math.round(area)} m²`;
+  return site.shape === 'circle'
+    ? `Circle • ${formatDistance(site.radiusM)} radius • ${size}`
+    : `Polygon • ${site.coordinates.length} points • ${size}`;
+}
+
+// Show the sites of a project
+function showSites(id = state.settings.activeProjectId) {
+  sitesProjectId = id;
+  renderSites();
+  document.getElementById('sitesModal').classList.remove('hidden');
+}
+
+// Close sites (a boundary walk keeps running in the background)
+function closeSites() {
+  document.getElementById('sitesModal').classList.add('hidden');
+}
+
+// Render the site list and boundary walk
+function renderSites() {
+  const project = state.projects.find(p => p.id === sitesProjectId) || getActiveProject();
+  const sites = getProjectSites(project);
+  document.getElementById('sitesSummary').textContent = `${project.name} • ${sites.length} site${sites.length === 1 ? '' : 's'}`;
+  document.getElementById('siteWalkPanel').classList.toggle('hidden', !siteWalk);
+  if (siteWalk) {
+    const points = siteWalk.points.length;
+    document.getElementById('siteWalkText').textContent = `Walking boundary: ${points} point${points === 1 ? '' : 's'}`;
+  }
+
+  document.getElementById('sitesContainer').innerHTML = sites.length === 0
+    ? `<div class="text-center py-12">
+        <p class="text-slate-500 text-sm">No sites yet</p>
+        <p class="text-slate-600 text-xs mt-1">Walk the boundary, add a circle around you or import GeoJSON/KML</p>
+      </div>`
+    : sites.map(site => `
+      <div class="bg-slate-800/50 rounded-xl p-4 border border-slate-700/50 flex items-center justify-between gap-2">
+        <div class="min-w-0">
+          <p class="text-sm font-medium truncate">🏗️ ${escapeXml(site.name)}</p>
+          <p class="text-xs text-slate-500">${describeSite(site)}</p>
+        </div>
+        <div class="flex gap-1.5 flex-shrink-0">
+          <button onclick="renameSite('${site.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Rename</button>
+          <button onclick="deleteSite('${site.id}')" class="px-2 py-1 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded text-xs transition">Delete</button>
+        </div>
+      </div>
+    `).join('');
+}
+
+// Save the site list of a project
+async function saveProjectSites(id, sites) {
+  const project = state.projects.find(p => p.id === id);
+  if (!project) return false;
+
+  const updated = { ...project, sites };
+  try {
+    await dbPut(PROJECTS_STORE, updated);
+  } catch (error) {
+    console.error('Failed to save sites:', error);
+    showToast('Failed to save sites', 'error');
+    return false;
+  }
+
+  state.projects = state.projects.map(p => (p.id === id ? updated : p));
+  renderSites();
+  updateSiteStatus();
+  return true;
+}
+
+// Add sites to the project shown in the sites list
+async function addSites(sites) {
+  const project = state.projects.find(p => p.id === sitesProjectId);
+  if (!project) return false;
+  return saveProjectSites(project.id, [...getProjectSites(project), ...sites]);
+}
+
+// Rename a site
+async function renameSite(id) {
+  const sites = getProjectSites(state.projects.find(p => p.id === sitesProjectId));
+  const site = sites.find(s => s.id === id);
+  const name = site && prompt('Site name', site.name)?.trim();
+  if (!name) return;
+  await saveProjectSites(sitesProjectId, sites.map(s => (s.id === id ? { ...s, name } : s)));
+}
+
+// Delete a site (captures keep the site name they were tagged with)
+async function deleteSite(id) {
+  const sites = getProjectSites(state.projects.find(p => p.id === sitesProjectId));
+  const site = sites.find(s => s.id === id);
+  if (!site || !confirm(`Delete site ${site.name}?`)) return;
+  if (await saveProjectSites(sitesProjectId, sites.filter(s => s.id !== id))) {
+    showToast('Site deleted', 'success');
+  }
+}
+
+// Add a radius circle around the current position
+async function addCircleSite() {
+  if (!state.position) {
+    showToast('Waiting for GPS fix', 'error');
+    return;
+  }
+  const radiusM = parseFloat(prompt('Site radius in meters', '100'));
+  if (!(radiusM > 0)) return;
+  const name = prompt('Site name', `Site ${getProjectSites(state.projects.find(p => p.id === sitesProjectId)).length + 1}`)?.trim();
+  if (!name) return;
+
+  const { latitude, longitude } = state.position.coords;
+  const site = { id: generateSiteId(), name, shape: 'circle', center: [longitude, latitude], radiusM, source: 'circle', createdAt: new Date().toISOString() };
+  if (await addSites([site])) showToast(`Added ${name}`, 'success');
+}
+
+// Start walking a site boundary (fixes become polygon corners)
+function startSiteWalk() {
+  siteWalk = { projectId: sitesProjectId, points: [] };
+  if (state.position) addSiteWalkPoint(state.position, true);
+  renderSites();
+  showToast('Walk the boundary, then tap Finish');
+}
+
+// Add a boundary point from a fix (automatic points need some distance from the last one)
+function addSiteWalkPoint(position, force = false) {
+  const { latitude, longitude, accuracy } = position.coords;
+  if (accuracy > state.settings.gpsMaxAccuracy && !force) return;
+  const last = siteWalk.points[siteWalk.points.length - 1];
+  if (last && !force && distanceMeters(last[1], last[0], latitude, longitude) < SITE_WALK_MIN_DISTANCE) return;
+
+  siteWalk.points.push([longitude, latitude]);
+  renderSites();
+}
+
+// Add the current position as a corner of the walked boundary
+function markSiteWalkCorner() {
+  if (!siteWalk) return;
+  if (!state.position) {
+    showToast('Waiting for GPS fix', 'error');
+    return;
+  }
+  addSiteWalkPoint(state.position, true);
+}
+
+// Stop walking without saving
+function cancelSiteWalk() {
+  siteWalk = null;
+  renderSites();
+}
+
+// Finish the walk and save the boundary as a polygon site
+async function finishSiteWalk() {
+  if (!siteWalk) return;
+  if (siteWalk.points.length < 3) {
+    showToast('Walk at least 3 boundary points first', 'error');
+    return;
+  }
+  const name = prompt('Site name', `Site ${getProjectSites(state.projects.find(p => p.id === siteWalk.projectId)).length + 1}`)?.trim();
+  if (!name) return;
+
+  const site = { id: generateSiteId(), name, shape: 'polygon', coordinates: siteWalk.points, source: 'walked', createdAt: new Date().toISOString() };
+  sitesProjectId = siteWalk.projectId;
+  siteWalk = null;
+  if (await addSites([site])) showToast(`Added ${name}`, 'success');
+}
+
+// Build a polygon site from a ring of [lng, lat] pairs (null when unusable)
+function buildPolygonSite(name, ring, source) {
+  const coordinates = (ring || [])
+    .filter(point => Number.isFinite(point[0]) && Number.isFinite(point[1]))
+    .map(([lng, lat]) => [lng, lat]);
+  const [first] = coordinates;
+  const last = coordinates[coordinates.length - 1];
+  if (coordinates.length > 1 && first[0] === last[0] && first[1] === last[1]) coordinates.pop();
+  if (coordinates.length < 3) return null;
+  return { id: generateSiteId(), name, shape: 'polygon', coordinates, source, createdAt: new Date().toISOString() };
+}
+
+// Read sites from GeoJSON (polygon outer rings; points with a radius property become circles)
+function parseGeoJsonSites(geojson) {
+  const sites = [];
+  const addGeometry = (geometry, name, properties) => {
+    if (!geometry) return;
+    if (geometry.type === 'Polygon') {
+      sites.push(buildPolygonSite(name, geometry.coordinates?.[0], 'geojson'));
+    } else if (geometry.type === 'MultiPolygon') {
+      geometry.coordinates.forEach((polygon, index) => sites.push(buildPolygonSite(`${name} ${index + 1}`, polygon[0], 'geojson')));
+    } else if (geometry.type === 'Point' && properties.radius > 0) {
+      const [lng, lat] = geometry.coordinates;
+      sites.push({ id: generateSiteId(), name, shape: 'circle', center: [lng, lat], radiusM: Number(properties.radius), source: 'geojson', createdAt: new Date().toISOString() });
+    } else if (geometry.type === 'GeometryCollection') {
+      geometry.geometries.forEach(child => addGeometry(child, name, properties));
+    }
+  };
+  const addFeature = (feature) => {
+    const properties = feature.properties || {};
+    addGeometry(feature.geometry, String(properties.name || properties.title || `Site ${sites.length + 1}`), properties);
+  };
+
+  if (geojson.type === 'FeatureCollection') geojson.features.forEach(addFeature);
+  else if (geojson.type === 'Feature') addFeature(geojson);
+  else addFeature({ geometry: geojson });
+  return sites.filter(Boolean);
+}
+
+// Read sites from KML placemarks (polygon outer boundaries)
+function parseKmlSites(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Not a valid KML file');
+
+  const sites = [];
+  Array.from(doc.getElementsByTagName('Placemark')).forEach(placemark => {
+    const name = placemark.getElementsByTagName('name')[0]?.textContent.trim() || `Site ${sites.length + 1}`;
+    const polygons = Array.from(placemark.getElementsByTagName('Polygon'));
+    polygons.forEach((polygon, index) => {
+      const boundary = polygon.getElementsByTagName('outerBoundaryIs')[0];
+      const ring = (boundary?.getElementsByTagName('coordinates')[0]?.textContent || '')
+        .trim()
+        .split(/\s+/)
+        .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+      sites.push(buildPolygonSite(polygons.length > 1 ? `${name} ${index + 1}` : name, ring, 'kml'));
+    });
+  });
+  return sites.filter(Boolean);
+}
+
+// Import sites from a GeoJSON or KML file
+async function handleSiteImport(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  let sites;
+  try {
+    const text = await file.text();
+    sites = /\.kml$/i.test(file.name) || text.trim().startsWith('<')
+      ? parseKmlSites(text)
+      : parseGeoJsonSites(JSON.parse(text));
+  } catch (error) {
+    console.error('Site import failed:', error);
+    showToast('Import failed: ' + error.message, 'error');
+    return;
+  }
+
+  if (sites.length === 0) {
+    showToast('No polygons or radius points found in file', 'error');
+    return;
+  }
+  if (await addSites(sites)) showToast(`Imported ${sites.length} site${sites.length === 1 ? '' : 's'}`, 'success');
+}
+
+// Generate overlay template ID
+function generateTemplateId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `TPL-${timestamp}-${random}`;
+}
+
+// Load user templates and decode their logos
+async function loadTemplates() {
+  const templates = await dbGetAll(TEMPLATES_STORE);
+  state.templates = templates.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  await Promise.all(state.templates.map(loadTemplateLogo));
+}
+
+// Decode a template logo for drawing on the canvas
+async function loadTemplateLogo(template) {
+  overlayLogos.delete(template.id);
+  if (!template.logo) return;
+  try {
+    overlayLogos.set(template.id, await createImageBitmap(template.logo));
+  } catch (error) {
+    console.error('Failed to decode template logo:', error);
+    showToast('Template logo could not be loaded', 'error');
+  }
+}
+
+// Fill the project editor's template select
+function populateTemplateSelect(selectedId) {
+  const select = document.getElementById('projectEditTemplate');
+  select.innerHTML = getTemplates().map(template =>
+    `<option value="${template.id}">${escapeXml(template.name)}${template.builtIn ? ' (built-in)' : ''}</option>`
+  ).join('');
+  select.value = getTemplate(selectedId).id;
+}
+
+// Show overlay templates
+function showTemplates() {
+  closeTemplateEditor();
+  document.getElementById('templatesModal').classList.remove('hidden');
+}
+
+// Close overlay templates
+function closeTemplates() {
+  document.getElementById('templatesModal').classList.add('hidden');
+  closeTemplateEditor();
+
+  // Pick up new or renamed templates in an open project editor
+  if (!document.getElementById('projectEditor').classList.contains('hidden')) {
+    populateTemplateSelect(document.getElementById('projectEditTemplate').value);
+  }
+}
+
+// Render the template list with the projects using each one
+function renderTemplates() {
+  const container = document.getElementById('templatesContainer');
+  container.innerHTML = getTemplates().map(template => {
+    const projects = state.projects.filter(p => getProjectTemplate(p).id === template.id);
+    const fields = template.fields.map(field => OVERLAY_FIELDS[field]?.label).filter(Boolean);
+    return `
+      <div class="bg-slate-800/50 rounded-xl p-3 border border-slate-700/50 space-y-2">
+        <div class="flex items-start justify-between gap-2">
+          <div class="min-w-0">
+            <p class="text-sm font-medium truncate">${escapeXml(template.name)}</p>
+            <p class="text-xs text-slate-400">${OVERLAY_POSITIONS[template.position]} • ${fields.length ? escapeXml(fields.join(', ')) : 'No text'}</p>
+            ${projects.length ? `<p class="text-xs text-slate-500 truncate">Used by ${escapeXml(projects.map(p => p.name).join(', '))}</p>` : ''}
+          </div>
+          ${template.builtIn ? '<span class="px-2 py-0.5 rounded-full bg-slate-700 text-slate-400 text-[10px] flex-shrink-0">Built-in</span>' : ''}
+        </div>
+        <div class="flex flex-wrap gap-1.5">
+          ${template.builtIn ? '' : `<button onclick="showTemplateEditor('${template.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Edit</button>`}
+          <button onclick="showTemplateEditor('${template.id}', true)" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Duplicate</button>
+          ${template.builtIn ? '' : `<button onclick="deleteTemplate('${template.id}')" class="px-2 py-1 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded text-xs transition">Delete</button>`}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Open the template editor (no ID = new template, duplicate = copy of ID)
+function showTemplateEditor(id = null, duplicate = false) {
+  const source = id ? getTemplate(id) : BUILTIN_TEMPLATES[0];
+  editingTemplateId = id && !duplicate ? source.id : null;
+  templateEditorLogo = source.logo ? { blob: source.logo, bitmap: overlayLogos.get(source.id) } : null;
+
+  document.getElementById('templateEditorTitle').textContent = editingTemplateId ? 'Edit Template' : 'New Template';
+  document.getElementById('templateEditName').value = id ? `${source.name}${duplicate ? ' copy' : ''}` : '';
+  document.getElementById('templateFields').innerHTML = Object.entries(OVERLAY_FIELDS).map(([field, { label }]) => `
+    <label class="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+      <input type="checkbox" value="${field}" ${source.fields.includes(field) ? 'checked' : ''} onchange="renderTemplatePreview()" class="w-4 h-4 rounded bg-slate-700 border-slate-600 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-0">
+      ${label}
+    </label>
+  `).join('');
+  document.getElementById('templateEditCustomText').value = source.customText;
+  document.getElementById('templateEditPosition').innerHTML = Object.entries(OVERLAY_POSITIONS).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+  ).join('');
+  document.getElementById('templateEditPosition').value = source.position;
+  document.getElementById('templateEditFontScale').value = String(source.fontScale);
+  document.getElementById('templateEditTextColor').value = source.textColor;
+  document.getElementById('templateEditBackground').value = source.backgroundColor;
+  document.getElementById('templateEditOpacity').value = source.backgroundOpacity;
+  document.getElementById('templateEditCompass').checked = source.compassRose;
+  document.getElementById('templateEditWatermark').checked = source.watermark;
+  document.getElementById('templateEditQr').checked = Boolean(source.qrCode);
+  document.getElementById('templateEditQrUrl').value = source.qrUrlTemplate || '';
+  document.getElementById('templateEditLogo').value = '';
+  document.getElementById('templateLogoName').textContent = templateEditorLogo ? 'Replace company logo' : 'Add company logo';
+
+  document.getElementById('templatesContainer').classList.add('hidden');
+  document.getElementById('templateEditor').classList.remove('hidden');
+  renderTemplatePreview();
+}
+
+// Close the template editor and return to the list
+function closeTemplateEditor() {
+  editingTemplateId = null;
+  templateEditorLogo = null;
+  document.getElementById('templateEditor').classList.add('hidden');
+  document.getElementById('templatesContainer').classList.remove('hidden');
+  renderTemplates();
+}
+
+// Read the template editor form
+function readTemplateForm() {
+  const fields = [...document.querySelectorAll('#templateFields input:checked')].map(input => input.value);
+  return {
+    name: document.getElementById('templateEditName').value.trim(),
+    builtIn: false,
+    fields,
+    customText: document.getElementById('templateEditCustomText').value.trim(),
+    position: document.getElementById('templateEditPosition').value,
+    fontScale: parseFloat(document.getElementById('templateEditFontScale').value),
+    textColor: document.getElementById('templateEditTextColor').value,
+    backgroundColor: document.getElementById('templateEditBackground').value,
+    backgroundOpacity: parseFloat(document.getElementById('templateEditOpacity').value),
+    compassRose: document.getElementById('templateEditCompass').checked,
+    watermark: document.getElementById('templateEditWatermark').checked,
+    logo: templateEditorLogo?.blob || null,
+    qrCode: document.getElementById('templateEditQr').checked,
+    qrUrlTemplate: document.getElementById('templateEditQrUrl').value.trim()
+  };
+}
+
+// Draw the edited template over the current frame (or a placeholder)
+function renderTemplatePreview() {
+  const canvas = document.getElementById('templatePreview');
+  const video = document.getElementById('videoElement');
+  const template = readTemplateForm();
+  document.getElementById('templateOpacityValue').textContent = `${Math.round(template.backgroundOpacity * 100)}%`;
+
+  const ctx = canvas.getContext('2d');
+  if (video.videoWidth > 0) {
+    canvas.height = Math.round(canvas.width * video.videoHeight / video.videoWidth);
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  } else {
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+    gradient.addColorStop(0, '#1e293b');
+    gradient.addColorStop(1, '#0f172a');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  const data = getOverlayData({ photoId: 'IMG-PREVIEW', captureHash: '0'.repeat(64) });
+  data.notes = data.notes || 'Sample note';
+  addMetadataOverlay(ctx, canvas.width, canvas.height, template, data, templateEditorLogo?.bitmap);
+}
+
+// Save the template from the editor
+async function saveTemplate() {
+  const form = readTemplateForm();
+  if (!form.name) {
+    showToast('Template name is required', 'error');
+    return;
+  }
+
+  const existing = state.templates.find(t => t.id === editingTemplateId);
+  const template = {
+    ...(existing || { id: generateTemplateId(), createdAt: new Date().toISOString() }),
+    ...form
+  };
+
+  try {
+    await dbPut(TEMPLATES_STORE, template);
+  } catch (error) {
+    console.error('Failed to save template:', error);
+    showToast('Failed to save template', 'error');
+    return;
+  }
+
+  state.templates = existing
+    ? state.templates.map(t => (t.id === template.id ? template : t))
+    : [...state.templates, template];
+  if (templateEditorLogo?.bitmap) {
+    overlayLogos.set(template.id, templateEditorLogo.bitmap);
+  } else {
+    overlayLogos.delete(template.id);
+  }
+  closeTemplateEditor();
+  updateStampNoteInput();
+  showToast('Template saved', 'success');
+}
+
+// Delete a user template, moving its projects to the classic layout
+async function deleteTemplate(id) {
+  const template = state.templates.find(t => t.id === id);
+  if (!template) return;
+
+  const projects = state.projects.filter(p => p.templateId === id);
+  const usage = projects.length ? ` ${projects.length} project${projects.length === 1 ? '' : 's'} will switch to ${BUILTIN_TEMPLATES[0].name}.` : '';
+  if (!confirm(`Delete template ${template.name}?${usage}`)) return;
+
+  const updated = projects.map(p => ({ ...p, templateId: BUILTIN_TEMPLATES[0].id }));
+  try {
+    await Promise.all(updated.map(p => dbPut(PROJECTS_STORE, p)));
+    await dbDelete(TEMPLATES_STORE, id);
+  } catch (error) {
+    console.error('Failed to delete template:', error);
+    showToast('Failed to delete template', 'error');
+    return;
+  }
+
+  state.projects = state.projects.map(p => updated.find(u => u.id === p.id) || p);
+  state.templates = state.templates.filter(t => t.id !== id);
+  overlayLogos.delete(id);
+  renderTemplates();
+  updateStampNoteInput();
+  showToast('Template deleted', 'success');
+}
+
+// Load a company logo into the template editor
+async function handleTemplateLogo(input) {
+  const file = input.files[0];
+  if (!file) return;
+
+  try {
+    templateEditorLogo = { blob: file, bitmap: await createImageBitmap(file) };
+  } catch (error) {
+    console.error('Failed to read logo:', error);
+    showToast('Could not read that image', 'error');
+    return;
+  }
+  document.getElementById('templateLogoName').textContent = file.name;
+  renderTemplatePreview();
+}
+
+// Remove the logo from the edited template
+function clearTemplateLogo() {
+  templateEditorLogo = null;
+  document.getElementById('templateEditLogo').value = '';
+  document.getElementById('templateLogoName').textContent = 'Add company logo';
+  renderTemplatePreview();
+}
+
+// Generate checklist or checklist item ID
+function generateChecklistId(prefix = 'CHK') {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `${prefix}-${timestamp}-${random}`;
+}
+
+// Load checklist templates, oldest first
+async function loadChecklists() {
+  const checklists = await dbGetAll(CHECKLISTS_STORE);
+  state.checklists = checklists.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Get the checklist of a project (null when it has none)
+function getProjectChecklist(project = getActiveProject()) {
+  return state.checklists.find(c => c.id === project?.checklistId) || null;
+}
+
+// Count a session's captures per checklist item and check what is still missing
+function getChecklistProgress(checklist, sessionId) {
+  const logs = state.logs.filter(log => log.sessionId === sessionId && log.checklistItem?.checklistId === checklist.id);
+  const items = checklist.items.map(item => {
+    const count = logs.filter(log => log.checklistItem.itemId === item.id).length;
+    return { ...item, count, done: count >= item.minPhotos };
+  });
+  const required = items.filter(item => item.required);
+  const missing = required.filter(item => !item.done);
+  return {
+    checklistId: checklist.id,
+    name: checklist.name,
+    items,
+    done: items.filter(item => item.done).length,
+    total: items.length,
+    requiredDone: required.length - missing.length,
+    requiredTotal: required.length,
+    missing: missing.map(item => item.label),
+    complete: missing.length === 0
+  };
+}
+
+// Describe checklist progress in one line
+function formatChecklistProgress(progress) {
+  return `${progress.done}/${progress.total} items • ${progress.requiredDone}/${progress.requiredTotal} required`;
+}
+
+// Get the checklist item picked for the next captures
+function getCurrentChecklistItem(project = getActiveProject()) {
+  return getProjectChecklist(project)?.items.find(item => item.id === state.checklistItemId) || null;
+}
+
+// Checklist item recorded with a capture
+function getCaptureChecklistItem(project) {
+  const item = getCurrentChecklistItem(project);
+  if (!item) return undefined;
+  const checklist = getProjectChecklist(project);
+  return { checklistId: checklist.id, checklistName: checklist.name, itemId: item.id, label: item.label };
+}
+
+// Pick the checklist item for the next captures
+function selectChecklistItem(id) {
+  state.checklistItemId = id || null;
+  updateChecklistPicker();
+}
+
+// Show the active project's checklist, progress and item picker under the session bar
+function updateChecklistPicker() {
+  const checklist = getProjectChecklist();
+  document.getElementById('checklistRow').classList.toggle('hidden', !checklist);
+  if (!checklist) return;
+
+  const progress = getChecklistProgress(checklist, state.sessionId);
+  const current = getCurrentChecklistItem();
+  document.getElementById('checklistName').textContent = checklist.name;
+  document.getElementById('checklistProgress').textContent = formatChecklistProgress(progress);
+  document.getElementById('checklistProgress').className = `text-[10px] px-2 py-0.5 rounded-full flex-shrink-0 ${progress.complete ? 'bg-emerald-600/20 text-emerald-300' : 'bg-slate-700 text-slate-300'}`;
+
+  const select = document.getElementById('checklistItemSelect');
+  select.innerHTML = `<option value="">No checklist item</option>${progress.items.map(item => `
+    <option value="${item.id}">${item.done ? '✅' : '⬜'} ${escapeXml(item.label)}${item.required ? ' *' : ''} (${item.count}/${item.minPhotos})</option>
+  `).join('')}`;
+  select.value = current ? current.id : '';
+
+  const instruction = document.getElementById('checklistInstruction');
+  instruction.textContent = current?.instruction || '';
+  instruction.classList.toggle('hidden', !current?.instruction);
+}
+
+// Fill the project editor's checklist select
+function populateChecklistSelect(selectedId) {
+  const select = document.getElementById('projectEditChecklist');
+  select.innerHTML = `<option value="">No checklist</option>${state.checklists.map(checklist =>
+    `<option value="${checklist.id}">${escapeXml(checklist.name)}</option>`
+  ).join('')}`;
+  select.value = state.checklists.some(c => c.id === selectedId) ? selectedId : '';
+}
+
+// Show checklist templates
+function showChecklists() {
+  closeChecklistEditor();
+  document.getElementById('checklistsModal').classList.remove('hidden');
+}
+
+// Close checklist templates
+function closeChecklists() {
+  document.getElementById('checklistsModal').classList.add('hidden');
+  closeChecklistEditor();
+
+  // Pick up new or renamed checklists in an open project editor
+  if (!document.getElementById('projectEditor').classList.contains('hidden')) {
+    populateChecklistSelect(document.getElementById('projectEditChecklist').value);
+  }
+  updateChecklistPicker();
+}
+
+// Render the checklist list with the projects using each one
+function renderChecklists() {
+  const container = document.getElementById('checklistsContainer');
+  if (state.checklists.length === 0) {
+    container.innerHTML = `
+      <div class="text-center py-12">
+        <p class="text-slate-500 text-sm">No checklists yet</p>
+        <p class="text-slate-600 text-xs mt-1">Create a shot list or import one as JSON</p>
+      </div>
+    `;
+    return;
+  }
+
+  container.innerHTML = state.checklists.map(checklist => {
+    const projects = state.projects.filter(p => p.checklistId === checklist.id);
+    const required = checklist.items.filter(item => item.required).length;
+    return `
+      <div class="bg-slate-800/50 rounded-xl p-3 border border-slate-700/50 space-y-2">
+        <div class="min-w-0">
+          <p class="text-sm font-medium truncate">${escapeXml(checklist.name)}</p>
+          <p class="text-xs text-slate-400">${checklist.items.length} item${checklist.items.length === 1 ? '' : 's'} • ${required} required</p>
+          ${projects.length ? `<p class="text-xs text-slate-500 truncate">Used by ${escapeXml(projects.map(p => p.name).join(', '))}</p>` : ''}
+        </div>
+        <div class="flex flex-wrap gap-1.5">
+          <button onclick="showChecklistEditor('${checklist.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Edit</button>
+          <button onclick="showChecklistEditor('${checklist.id}', true)" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Duplicate</button>
+          <button onclick="exportChecklist('${checklist.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Export</button>
+          <button onclick="deleteChecklist('${checklist.id}')" class="px-2 py-1 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded text-xs transition">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Open the checklist editor (no ID = new checklist, duplicate = copy of ID)
+function showChecklistEditor(id = null, duplicate = false) {
+  const source = state.checklists.find(c => c.id === id);
+  editingChecklistId = source && !duplicate ? source.id : null;
+  checklistEditorItems = source
+    ? source.items.map(item => ({ ...item, id: duplicate ? generateChecklistId('ITM') : item.id }))
+    : [{ id: generateChecklistId('ITM'), label: '', instruction: '', required: true, minPhotos: 1 }];
+
+  document.getElementById('checklistEditorTitle').textContent = editingChecklistId ? 'Edit Checklist' : 'New Checklist';
+  document.getElementById('checklistEditName').value = source ? `${source.name}${duplicate ? ' copy' : ''}` : '';
+  renderChecklistEditorItems();
+  document.getElementById('checklistsContainer').classList.add('hidden');
+  document.getElementById('checklistEditor').classList.remove('hidden');
+  document.getElementById('checklistEditName').focus();
+}
+
+// Close the checklist editor and return to the list
+function closeChecklistEditor() {
+  editingChecklistId = null;
+  checklistEditorItems = [];
+  document.getElementById('checklistEditor').classList.add('hidden');
+  document.getElementById('checklistsContainer').classList.remove('hidden');
+  renderChecklists();
+}
+
+// Render the editable item rows
+function renderChecklistEditorItems() {
+  document.getElementById('checklistItems').innerHTML = checklistEditorItems.map((item, index) => `
+    <div class="bg-slate-800 rounded-lg p-2 space-y-2" data-item-id="${item.id}">
+      <div class="flex items-center gap-2">
+        <span class="text-xs text-slate-500 w-5 text-right">${index + 1}.</span>
+        <input type="text" data-field="label" value="${escapeXml(item.label)}" placeholder="Item, e.g. Front elevation" class="flex-1 min-w-0 bg-slate-700/50 border border-slate-600 rounded-lg px-2 py-1.5 text-sm placeholder-slate-500">
+        <button onclick="moveChecklistItem('${item.id}', -1)" class="px-1.5 text-slate-400 hover:text-white text-xs" aria-label="Move up">▲</button>
+        <button onclick="removeChecklistItem('${item.id}')" class="px-1.5 text-red-400 hover:text-red-300 text-xs" aria-label="Remove item">✕</button>
+      </div>
+      <input type="text" data-field="instruction" value="${escapeXml(item.instruction)}" placeholder="Instruction (optional)" class="w-full bg-slate-700/50 border border-slate-600 rounded-lg px-2 py-1.5 text-xs placeholder-slate-500">
+      <div class="flex items-center gap-4 text-xs text-slate-400">
+        <label class="flex items-center gap-1.5 cursor-pointer">
+          <input type="checkbox" data-field="required" ${item.required ? 'checked' : ''} class="w-4 h-4 rounded bg-slate-700 border-slate-600 text-emerald-500 focus:ring-emerald-500 focus:ring-offset-0">
+          Required
+        </label>
+        <label class="flex items-center gap-1.5">
+          Min photos
+          <input type="number" data-field="minPhotos" min="1" value="${item.minPhotos}" class="w-16 bg-slate-700/50 border border-slate-600 rounded-lg px-2 py-1 text-xs">
+        </label>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Read the item rows back into the editor state
+function readChecklistEditorItems() {
+  checklistEditorItems = [...document.querySelectorAll('#checklistItems [data-item-id]')].map(row => ({
+    id: row.dataset.itemId,
+    label: row.querySelector('[data-field="label"]').value.trim(),
+    instruction: row.querySelector('[data-field="instruction"]').value.trim(),
+    required: row.querySelector('[data-field="required"]').checked,
+    minPhotos: Math.max(1, parseInt(row.querySelector('[data-field="minPhotos"]').value, 10) || 1)
+  }));
+  return checklistEditorItems;
+}
+
+// Add an empty item row
+function addChecklistItem() {
+  readChecklistEditorItems();
+  checklistEditorItems.push({ id: generateChecklistId('ITM'), label: '', instruction: '', required: false, minPhotos: 1 });
+  renderChecklistEditorItems();
+}
+
+// Remove an item row
+function removeChecklistItem(id) {
+  checklistEditorItems = readChecklistEditorItems().filter(item => item.id !== id);
+  renderChecklistEditorItems();
+}
+
+// Move an item row up or down
+function moveChecklistItem(id, offset) {
+  const items = readChecklistEditorItems();
+  const index = items.findIndex(item => item.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= items.length) return;
+  [items[index], items[target]] = [items[target], items[index]];
+  renderChecklistEditorItems();
+}
+
+// Store a checklist and refresh everything showing it
+async function putChecklist(checklist) {
+  await dbPut(CHECKLISTS_STORE, checklist);
+  state.checklists = state.checklists.some(c => c.id === checklist.id)
+    ? state.checklists.map(c => (c.id === checklist.id ? checklist : c))
+    : [...state.checklists, checklist];
+  updateChecklistPicker();
+}
+
+// Save the checklist from the editor (items without a name are dropped)
+async function saveChecklist() {
+  const name = document.getElementById('checklistEditName').value.trim();
+  const items = readChecklistEditorItems().filter(item => item.label);
+  if (!name) {
+    showToast('Checklist name is required', 'error');
+    return;
+  }
+  if (items.length === 0) {
+    showToast('Add at least one item', 'error');
+    return;
+  }
+
+  const existing = state.checklists.find(c => c.id === editingChecklistId);
+  const checklist = {
+    ...(existing || { id: generateChecklistId(), createdAt: new Date().toISOString() }),
+    name,
+    items,
+    updatedAt: new Date().toISOString()
+  };
+
+  try {
+    await putChecklist(checklist);
+  } catch (error) {
+    console.error('Failed to save checklist:', error);
+    showToast('Failed to save checklist', 'error');
+    return;
+  }
+  closeChecklistEditor();
+  showToast('Checklist saved', 'success');
+}
+
+// Delete a checklist, detaching it from its projects (captures keep their item names)
+async function deleteChecklist(id) {
+  const checklist = state.checklists.find(c => c.id === id);
+  if (!checklist) return;
+
+  const projects = state.projects.filter(p => p.checklistId === id);
+  const usage = projects.length ? ` ${projects.length} project${projects.length === 1 ? '' : 's'} will have no checklist.` : '';
+  if (!confirm(`Delete checklist ${checklist.name}?${usage}`)) return;
+
+  const updated = projects.map(p => ({ ...p, checklistId: '' }));
+  try {
+    await Promise.all(updated.map(p => dbPut(PROJECTS_STORE, p)));
+    await dbDelete(CHECKLISTS_STORE, id);
+  } catch (error) {
+    console.error('Failed to delete checklist:', error);
+    showToast('Failed to delete checklist', 'error');
+    return;
+  }
+
+  state.projects = state.projects.map(p => updated.find(u => u.id === p.id) || p);
+  state.checklists = state.checklists.filter(c => c.id !== id);
+  renderChecklists();
+  updateChecklistPicker();
+  showToast('Checklist deleted', 'success');
+}
+
+// Export a checklist as JSON (IDs included so shared copies stay comparable)
+function exportChecklist(id) {
+  const checklist = state.checklists.find(c => c.id === id);
+  if (!checklist) return;
+
+  const file = {
+    format: CHECKLIST_FORMAT,
+    version: CHECKLIST_VERSION,
+    id: checklist.id,
+    name: checklist.name,
+    items: checklist.items.map(({ id, label, instruction, required, minPhotos }) => ({ id, label, instruction, required, minPhotos }))
+  };
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `tracecam-checklist-${checklist.name.replace(/[^\w-]+/g, '_')}.json`);
+  showToast('Checklist exported', 'success');
+}
+
+// Check an imported checklist or item ID (letters, digits, _ and - only)
+function isChecklistId(id) {
+  return typeof id === 'string' && CHECKLIST_ID_PATTERN.test(id);
+}
+
+// Build a checklist from an exported JSON file (missing, duplicate or unsafe IDs are regenerated)
+function parseChecklistFile(file) {
+  if (file.format !== CHECKLIST_FORMAT || !Array.isArray(file.items)) throw new Error('Not a TraceCam checklist');
+  if (file.version > CHECKLIST_VERSION) throw new Error('Checklist was made by a newer TraceCam version');
+
+  const ids = new Set();
+  const items = file.items
+    .filter(item => typeof item.label === 'string' && item.label.trim())
+    .map(item => {
+      const id = isChecklistId(item.id) && !ids.has(item.id) ? item.id : generateChecklistId('ITM');
+      ids.add(id);
+      return {
+        id,
+        label: item.label.trim(),
+        instruction: typeof item.instruction === 'string' ? item.instruction.trim() : '',
+        required: Boolean(item.required),
+        minPhotos: Math.max(1, parseInt(item.minPhotos, 10) || 1)
+      };
+    });
+  if (items.length === 0) throw new Error('Checklist has no items');
+
+  const now = new Date().toISOString();
+  return {
+    id: isChecklistId(file.id) ? file.id : generateChecklistId(),
+    name: String(file.name || 'Imported checklist').trim(),
+    items,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Import a checklist JSON file (a checklist with the same ID is replaced after confirmation)
+async function handleChecklistImport(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  let checklist;
+  try {
+    checklist = parseChecklistFile(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error('Checklist import failed:', error);
+    showToast('Import failed: ' + error.message, 'error');
+    return;
+  }
+
+  const existing = state.checklists.find(c => c.id === checklist.id);
+  if (existing && !confirm(`Replace checklist ${existing.name} with the imported version?`)) return;
+
+  try {
+    await putChecklist(existing ? { ...checklist, createdAt: existing.createdAt } : checklist);
+  } catch (error) {
+    console.error('Failed to save checklist:', error);
+    showToast('Failed to save checklist', 'error');
+    return;
   }
+  renderChecklists();
+  showToast(`Imported ${checklist.name} (${checklist.items.length} items)`, 'success');
 }
 
-// Download photo
-function downloadPhoto() {
-  if (!state.currentPreview) return;
-  downloadPhotoDirect(state.currentPreview);
+// Distance in meters between two coordinates (haversine)
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
 }
 
-// Show logs
-function showLogs() {
-  const container = document.getElementById('logsContainer');
-  
-  if (state.logs.length === 0) {
+// Load sessions and restore the active one across reloads
+async function loadSessions() {
+  state.sessions = await dbGetAll(SESSIONS_STORE);
+  const activeId = localStorage.getItem(ACTIVE_SESSION_KEY);
+  const active = state.sessions.find(s => s.id === activeId && !s.endedAt);
+  state.sessionId = active ? active.id : null;
+  if (!active) localStorage.removeItem(ACTIVE_SESSION_KEY);
+  updateSessionId();
+}
+
+// Get the active session record
+function getActiveSession() {
+  return state.sessions.find(s => s.id === state.sessionId) || null;
+}
+
+// Session name for display, falling back to the ID for older sessions
+function getSessionLabel(sessionId) {
+  return state.sessions.find(s => s.id === sessionId)?.name || sessionId;
+}
+
+// Default session name from the start time
+function defaultSessionName(date = new Date()) {
+  return `Session ${toLocalDateKey(date.toISOString())} ${date.toTimeString().slice(0, 5)}`;
+}
+
+// Start a new session in the active project (null when the current one is kept)
+async function startSession(name = defaultSessionName()) {
+  const active = getActiveSession();
+  if (active && !confirmEndIncomplete(active)) return null;
+  await stopActiveSession();
+
+  const session = {
+    id: generateSessionId(),
+    name,
+    projectId: state.settings.activeProjectId,
+    startedAt: new Date().toISOString(),
+    endedAt: null
+  };
+  state.sessions.push(session);
+  state.sessionId = session.id;
+  localStorage.setItem(ACTIVE_SESSION_KEY, session.id);
+  updateSessionId();
+
+  try {
+    await dbPut(SESSIONS_STORE, session);
+  } catch (error) {
+    console.error('Failed to save session:', error);
+  }
+  return session;
+}
+
+// Get the active session, starting one if needed
+async function ensureActiveSession() {
+  return getActiveSession() || startSession();
+}
+
+// Ask for a name and start a session
+async function promptStartSession() {
+  const active = getActiveSession();
+  if (active && !confirmEndIncomplete(active)) return;
+  const name = prompt('Session name', defaultSessionName());
+  if (name === null) return;
+  await stopActiveSession();
+  const session = await startSession(name.trim() || defaultSessionName());
+  showToast(`Started ${session.name}`, 'success');
+  if (!document.getElementById('sessionsModal').classList.contains('hidden')) renderSessions();
+}
+
+// Required checklist items a session still misses (none without a checklist or captures)
+function getMissingChecklistItems(session) {
+  const { checklist, captures } = summarizeSession(session.id);
+  return checklist && !checklist.complete && captures > 0 ? checklist.missing : [];
+}
+
+// Check that a session's required checklist items are done before it ends (says what is missing)
+function canEndSession(session) {
+  const missing = getMissingChecklistItems(session);
+  if (missing.length === 0) return true;
+  showToast(`Checklist incomplete - still required: ${missing.join(', ')}`, 'error');
+  return false;
+}
+
+// Ask before a session is ended by starting another one or switching projects with its checklist incomplete
+function confirmEndIncomplete(session) {
+  const missing = getMissingChecklistItems(session);
+  return missing.length === 0
+    || confirm(`${session.name}: still required ${missing.join(', ')}.\n\nEnd anyway (checklist incomplete)?`);
+}
+
+// End the active session, recording the required checklist items it ended without
+async function stopActiveSession() {
+  const session = getActiveSession();
+  if (!session) return null;
+
+  const missing = getMissingChecklistItems(session);
+  if (missing.length > 0) session.missingAtEnd = missing;
+  session.endedAt = new Date().toISOString();
+  state.sessionId = null;
+  localStorage.removeItem(ACTIVE_SESSION_KEY);
+  updateSessionId();
+
+  try {
+    await dbPut(SESSIONS_STORE, session);
+  } catch (error) {
+    console.error('Failed to save session:', error);
+  }
+  return session;
+}
+
+// End the active session after confirmation (required checklist items must be done)
+async function endSession() {
+  const session = getActiveSession();
+  if (!session || !canEndSession(session)) return;
+  if (!confirm(`End ${session.name}?`)) return;
+
+  await stopActiveSession();
+  const summary = summarizeSession(session.id);
+  showToast(`${session.name} ended (${summary.captures} captures)`, 'success');
+  if (!document.getElementById('sessionsModal').classList.contains('hidden')) renderSessions();
+}
+
+// Bounding box of points with latitude/longitude, with its size in meters (null without points)
+function measureExtent(points) {
+  if (points.length === 0) return null;
+  const lats = points.map(point => point.latitude);
+  const lngs = points.map(point => point.longitude);
+  const south = Math.min(...lats);
+  const north = Math.max(...lats);
+  const west = Math.min(...lngs);
+  const east = Math.max(...lngs);
+  const midLat = (south + north) / 2;
+  const widthM = Math.round(distanceMeters(midLat, west, midLat, east));
+  const heightM = Math.round(distanceMeters(south, west, north, west));
+  return { south, west, north, east, widthM, heightM, areaM2: widthM * heightM };
+}
+
+// Summarize a session: times, captures, area covered (captures and track), walked track, operators and checklist progress
+function summarizeSession(sessionId) {
+  const session = state.sessions.find(s => s.id === sessionId);
+  const logs = state.logs.filter(log => log.sessionId === sessionId);
+  const track = getSessionTrack(sessionId);
+  const times = [...logs.map(log => log.timestamp), ...track.map(point => point.timestamp)].sort();
+  const points = [...logs.filter(hasCoordinates), ...track];
+
+  const area = measureExtent(points);
+  const projectId = session?.projectId || (logs[0] ? getRecordProjectId(logs[0]) : track[0]?.projectId || null);
+  const checklist = getProjectChecklist(state.projects.find(p => p.id === projectId));
+
+  return {
+    id: sessionId,
+    name: session?.name || null,
+    projectId,
+    active: sessionId === state.sessionId,
+    startedAt: session?.startedAt || times[0] || null,
+    endedAt: session ? session.endedAt : times[times.length - 1] || null,
+    captures: logs.length,
+    photos: state.photos.filter(photo => photo.sessionId === sessionId).length,
+    area,
+    track: track.length ? {
+      points: track.length,
+      distanceM: Math.round(measureTrack(track)),
+      startedAt: track[0].timestamp,
+      endedAt: track[track.length - 1].timestamp
+    } : null,
+    operators: [...new Set(logs.map(log => log.operatorName).filter(Boolean))],
+    checklist: checklist ? getChecklistProgress(checklist, sessionId) : null,
+    endedIncomplete: session?.missingAtEnd || null
+  };
+}
+
+// Format a session's bounding box for display
+function formatSessionArea(area) {
+  if (!area) return 'No location';
+  const size = area.areaM2 >= 10000 ? `${(area.areaM2 / 10000).toFixed(2)} ha` : `${area.areaM2} m²`;
+  return `${area.widthM} × ${area.heightM} m (${size})`;
+}
+
+// Get session summaries of a project, newest first (older sessions are derived from the logs)
+function getProjectSessions(projectId = state.settings.activeProjectId) {
+  const ids = new Set([
+    ...state.sessions.filter(s => s.projectId === projectId).map(s => s.id),
+    ...getProjectLogs(projectId).map(log => log.sessionId).filter(Boolean)
+  ]);
+  return [...ids]
+    .map(summarizeSession)
+    .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+// Show sessions
+function showSessions() {
+  renderSessions();
+  document.getElementById('sessionsModal').classList.remove('hidden');
+}
+
+// Close sessions
+function closeSessions() {
+  document.getElementById('sessionsModal').classList.add('hidden');
+}
+
+// Render session summaries of the active project
+function renderSessions() {
+  const container = document.getElementById('sessionsContainer');
+  const sessions = getProjectSessions();
+  document.getElementById('sessionsSummary').textContent = `${sessions.length} session${sessions.length === 1 ? '' : 's'} in ${getActiveProject().name}`;
+
+  if (sessions.length === 0) {
     container.innerHTML = `
       <div class="text-center py-12">
-        <div class="w-16 h-16 bg-slate-800 rounded-full flex items-center justify-center mx-auto mb-4">
-          <svg class="w-8 h-8 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"></path>
-          </svg>
-        </div>
-        <p class="text-slate-500 text-sm">No captures yet</p>
-        <p class="text-slate-600 text-xs mt-1">Take a photo to start logging</p>
+        <p class="text-slate-500 text-sm">No sessions yet</p>
+        <p class="text-slate-600 text-xs mt-1">Start a session before an inspection</p>
       </div>
     `;
-  } else {
-    container.innerHTML = state.logs.map(log => `
-      <div class="bg-slate-800/50 rounded-xl p-4 border border-slate-700/50 mb-3">
-        <div class="flex items-center justify-between mb-2">
-          <span class="font-mono text-sm text-emerald-400">${log.id}</span>
-          <span class="text-[10px] text-slate-500">${log.timestampLocal}</span>
-        </div>
-        <div class="text-xs space-y-1 text-slate-400">
-          ${log.latitude ? `<p class="flex items-center gap-1"><span>📍</span> ${log.latitude.toFixed(6)}, ${log.longitude.toFixed(6)} <span class="text-slate-600">(±${log.accuracy?.toFixed(0) || '?'}m)</span></p>` : '<p class="text-slate-600">📍 No location</p>'}
-          <p class="flex items-center gap-1"><span>🕐</span> ${log.timezone}</p>
-          ${log.projectName ? `<p class="flex items-center gap-1"><span>📁</span> ${log.projectName}</p>` : ''}
-          ${log.operatorName ? `<p class="flex items-center gap-1"><span>👤</span> ${log.operatorName}</p>` : ''}
+    return;
+  }
+
+  container.innerHTML = sessions.map(summary => `
+    <div class="bg-slate-800/50 rounded-xl p-4 border ${summary.active ? 'border-emerald-500/50' : 'border-slate-700/50'}">
+      <div class="flex items-start justify-between gap-2 mb-2">
+        <div class="min-w-0">
+          <p class="text-sm font-medium truncate">${escapeXml(summary.name || 'Unnamed session')}</p>
+          <p class="text-[10px] font-mono text-slate-500">${summary.id}</p>
         </div>
+        ${summary.active ? '<span class="px-2 py-0.5 rounded-full bg-emerald-600/20 text-emerald-300 text-[10px] flex-shrink-0">Active</span>' : ''}
       </div>
-    `).join('');
+      <div class="text-xs text-slate-400 space-y-1 mb-3">
+        <p class="flex items-center gap-1"><span>🕐</span> ${summary.startedAt ? new Date(summary.startedAt).toLocaleString() : '—'} → ${summary.endedAt ? new Date(summary.endedAt).toLocaleString() : 'ongoing'}</p>
+        <p class="flex items-center gap-1"><span>📸</span> ${summary.captures} captures • ${summary.photos} photos stored</p>
+        <p class="flex items-center gap-1"><span>📐</span> ${formatSessionArea(summary.area)}</p>
+        ${summary.track ? `<p class="flex items-center gap-1"><span>🥾</span> ${formatDistance(summary.track.distanceM)} walked • ${summary.track.points} track points • ${new Date(summary.track.startedAt).toLocaleTimeString()}–${new Date(summary.track.endedAt).toLocaleTimeString()}</p>` : ''}
+        ${summary.operators.length ? `<p class="flex items-center gap-1"><span>👤</span> ${escapeXml(summary.operators.join(', '))}</p>` : ''}
+        ${summary.checklist ? `<p class="flex items-center gap-1 ${summary.checklist.complete ? '' : 'text-yellow-400'}"><span>☑️</span> ${formatChecklistProgress(summary.checklist)}${summary.checklist.complete ? '' : ` • missing ${escapeXml(summary.checklist.missing.join(', '))}`}</p>` : ''}
+        ${summary.endedIncomplete ? `<p class="flex items-center gap-1 text-yellow-400"><span>⚠️</span> Ended with checklist incomplete (${escapeXml(summary.endedIncomplete.join(', '))})</p>` : ''}
+      </div>
+      <div class="flex flex-wrap gap-1.5">
+        <button onclick="viewSessionLogs('${summary.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">View Logs</button>
+        ${summary.area ? `<button onclick="closeSessions(); showMap('${summary.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Map</button>` : ''}
+        ${summary.track ? `<button onclick="exportSessionGpx('${summary.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">GPX</button>` : ''}
+        ${summary.photos ? `<button onclick="showReport('${summary.projectId || state.settings.activeProjectId}', '${summary.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Report</button>` : ''}
+        <button onclick="exportBundle(undefined, '${summary.id}')" class="px-2 py-1 bg-slate-700 hover:bg-slate-600 rounded text-xs transition">Export</button>
+        ${summary.active ? '<button onclick="endSession()" class="px-2 py-1 bg-red-600/20 hover:bg-red-600/30 text-red-400 rounded text-xs transition">End</button>' : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Open the logs filtered to one session
+function viewSessionLogs(sessionId) {
+  closeSessions();
+  showLogs();
+  document.getElementById('logsFilterSession').value = sessionId;
+  renderLogs();
+}
+
+// Generate breadcrumb track point ID
+function generateTrackPointId() {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `TRK-${timestamp}-${random}`;
+}
+
+// Load breadcrumb track points, oldest first
+async function loadTrackPoints() {
+  state.trackPoints = (await dbGetAll(TRACKS_STORE)).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Get a session's track points, oldest first
+function getSessionTrack(sessionId) {
+  return state.trackPoints.filter(point => point.sessionId === sessionId);
+}
+
+// Get a project's track points, oldest first
+function getProjectTrack(projectId = state.settings.activeProjectId) {
+  return state.trackPoints.filter(point => point.projectId === projectId);
+}
+
+// Total distance along track points, per session (meters)
+function measureTrack(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].sessionId !== points[i - 1].sessionId) continue;
+    total += distanceMeters(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
   }
-  
-  document.getElementById('logsModal').classList.remove('hidden');
+  return total;
 }
 
-// Close logs
-function closeLogs() {
-  document.getElementById('logsModal').classList.add('hidden');
+// Format a distance in m or km
+function formatDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
 }
 
-// Clear logs
-function clearLogs() {
-  if (confirm('Clear all logs? This cannot be undone.')) {
-    state.logs = [];
-    saveLogs();
-    updateLogCount();
-    showLogs();
-    showToast('Logs cleared', 'success');
+// Watch the battery (where supported) so track sampling can slow down
+async function initBattery() {
+  if (!navigator.getBattery) return;
+  try {
+    battery = await navigator.getBattery();
+    const update = () => {
+      updateTrackButton();
+      updateGeoWatch();
+    };
+    battery.addEventListener('levelchange', update);
+    battery.addEventListener('chargingchange', update);
+    update();
+  } catch (error) {
+    console.error('Battery status unavailable:', error);
   }
 }
 
-// Export logs as CSV
-function exportLogs() {
-  if (state.logs.length === 0) {
-    showToast('No logs to export', 'error');
+// Check whether the battery is low and not charging (only matters while track logging)
+function isBatteryLow() {
+  return state.settings.trackLogging && !!battery && !battery.charging && battery.level * 100 <= state.settings.trackLowBattery;
+}
+
+// Current track sampling thresholds (stretched on low battery)
+function getTrackSampling() {
+  const factor = isBatteryLow() ? TRACK_LOW_BATTERY_FACTOR : 1;
+  return {
+    minDistance: state.settings.trackMinDistance * factor,
+    minInterval: state.settings.trackMinInterval * factor,
+    batterySaver: factor > 1
+  };
+}
+
+// Store a fix in the active session's track once it moved far and long enough
+async function recordTrackFix(position, captureId = null) {
+  const session = getActiveSession();
+  if (!session) return;
+
+  const { latitude, longitude, accuracy, altitude, speed, heading } = position.coords;
+  const timestamp = new Date(position.timestamp).toISOString();
+  const last = state.trackPoints.findLast(point => point.sessionId === session.id);
+
+  // Captures are always kept; other fixes must be accurate and pass the filters
+  if (!captureId) {
+    if (accuracy > state.settings.gpsMaxAccuracy) return;
+    if (last) {
+      const { minDistance, minInterval } = getTrackSampling();
+      if ((position.timestamp - new Date(last.timestamp).getTime()) / 1000 < minInterval) return;
+      if (distanceMeters(last.latitude, last.longitude, latitude, longitude) < minDistance) return;
+    }
+  }
+
+  const point = {
+    id: generateTrackPointId(),
+    sessionId: session.id,
+    projectId: session.projectId,
+    timestamp,
+    latitude,
+    longitude,
+    accuracy,
+    altitude,
+    speed,
+    heading,
+    batteryLevel: battery ? Math.round(battery.level * 100) : null,
+    captureId: captureId || undefined
+  };
+  state.trackPoints.push(point);
+  if (last && last.timestamp > timestamp) {
+    state.trackPoints.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  try {
+    await dbPut(TRACKS_STORE, point);
+  } catch (error) {
+    console.error('Failed to save track point:', error);
+  }
+  updateSessionId();
+}
+
+// Link a capture into the track with a point at its position and time
+async function addCaptureTrackPoint(log) {
+  if (!hasCoordinates(log) || log.sessionId !== state.sessionId) return;
+  await recordTrackFix({
+    timestamp: new Date(log.timestamp).getTime(),
+    coords: {
+      latitude: log.latitude,
+      longitude: log.longitude,
+      accuracy: log.accuracy,
+      altitude: log.altitude,
+      speed: null,
+      heading: null
+    }
+  }, log.id);
+}
+
+// Turn breadcrumb track logging on or off
+function toggleTrackLogging() {
+  state.settings.trackLogging = !state.settings.trackLogging;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings));
+  document.getElementById('trackLogging').checked = state.settings.trackLogging;
+  updateTrackButton();
+  updateGeoWatch();
+
+  if (!state.settings.trackLogging) {
+    showToast('Track logging off');
+  } else if (getActiveSession()) {
+    showToast('Track logging on 🥾', 'success');
+  } else {
+    showToast('Track logging on - recording starts with the next session', 'success');
+  }
+}
+
+// Update the track toggle in the session bar
+function updateTrackButton() {
+  const button = document.getElementById('trackToggleBtn');
+  const { batterySaver } = getTrackSampling();
+  button.className = `px-2.5 py-1.5 rounded-lg text-xs font-medium transition flex-shrink-0 ${state.settings.trackLogging
+    ? (batterySaver ? 'bg-yellow-600/30 text-yellow-300' : 'bg-emerald-600/30 text-emerald-300')
+    : 'bg-slate-700 hover:bg-slate-600 text-slate-400'}`;
+  button.title = !state.settings.trackLogging ? 'Track logging off'
+    : batterySaver ? 'Track logging on (battery saver: sampling less often)' : 'Track logging on';
+}
+
+// Download a session's track with its captures as GPX waypoints
+function exportSessionGpx(sessionId) {
+  const track = getSessionTrack(sessionId);
+  if (track.length === 0) {
+    showToast('No track recorded in this session', 'error');
     return;
   }
-  
-  const headers = [
-    'ID', 'Timestamp (UTC)', 'Timestamp (Local)', 'Timezone',
-    'Latitude', 'Longitude', 'Accuracy (m)', 'Altitude (m)',
-    'Address', 'Session ID', 'Project', 'Operator'
-  ];
-  
-  const rows = state.logs.map(log => [
-    log.id,
-    log.timestamp,
-    log.timestampLocal,
-    log.timezone,
-    log.latitude || '',
-    log.longitude || '',
-    log.accuracy || '',
-    log.altitude || '',
-    `"${(log.address || '').replace(/"/g, '""')}"`,
-    log.sessionId,
-    log.projectName || '',
-    log.operatorName || ''
-  ]);
-  
-  const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `tracecam-logs-${new Date().toISOString().split('T')[0]}.csv`;
-  link.click();
-  
-  URL.revokeObjectURL(url);
-  showToast('Logs exported!', 'success');
+  const name = getSessionLabel(sessionId);
+  const logs = state.logs.filter(log => log.sessionId === sessionId);
+  const gpx = buildLogsGpx([...logs].reverse(), { track, name });
+  downloadBlob(new Blob([gpx], { type: 'application/gpx+xml' }), `tracecam-track-${name.replace(/[^\w-]+/g, '_')}.gpx`);
+  showToast('Track exported!', 'success');
+}
+
+// Map tiles
+const MAP_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 2;
+const MAP_MAX_ZOOM = 19;
+const mapView = { center: null, zoom: 15, records: [], track: [], sites: [], drag: null };
+
+// Project latitude/longitude to world pixels (Web Mercator)
+function projectMercator(lat, lng, zoom) {
+  const size = MAP_TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+  return {
+    x: (lng + 180) / 360 * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+}
+
+// World pixels back to latitude/longitude
+function unprojectMercator(x, y, zoom) {
+  const size = MAP_TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - 2 * Math.PI * y / size;
+  return { lat: 180 / Math.PI * Math.atan(Math.sinh(n)), lng: x / size * 360 - 180 };
+}
+
+// Meters per pixel at a latitude and zoom
+function metersPerPixel(lat, zoom) {
+  return 40075016.686 * Math.cos(lat * Math.PI / 180) / (MAP_TILE_SIZE * 2 ** zoom);
+}
+
+// Fill the scope select: active session, sessions, project, all projects
+function populateMapScope(scope) {
+  const select = document.getElementById('mapScope');
+  const project = getActiveProject();
+  const sessions = getProjectSessions().filter(summary => summary.captures > 0 || summary.track);
+  select.innerHTML = `
+    <option value="project">${escapeXml(project.name)}</option>
+    <option value="all">All projects</option>
+    ${sessions.map(summary => `<option value="session:${summary.id}">${escapeXml(summary.name || summary.id)}</option>`).join('')}
+  `;
+  select.value = [...select.options].some(option => option.value === scope) ? scope : 'project';
+}
+
+// Get log entries with coordinates in the selected map scope
+function getMapRecords() {
+  const scope = document.getElementById('mapScope').value;
+  const logs = scope === 'all' ? state.logs
+    : scope.startsWith('session:') ? state.logs.filter(log => log.sessionId === scope.slice(8))
+    : getProjectLogs();
+  return logs.filter(hasCoordinates);
+}
+
+// Get breadcrumb track points in the selected map scope
+function getMapTrack() {
+  const scope = document.getElementById('mapScope').value;
+  return scope === 'all' ? state.trackPoints
+    : scope.startsWith('session:') ? getSessionTrack(scope.slice(8))
+    : getProjectTrack();
+}
+
+// Get site outlines for the selected map scope (sessions belong to the active project)
+function getMapSites() {
+  const scope = document.getElementById('mapScope').value;
+  return scope === 'all' ? state.projects.flatMap(project => getProjectSites(project)) : getProjectSites();
+}
+
+// Show map of captures (optionally scoped to a session)
+function showMap(sessionId = '') {
+  populateMapScope(sessionId ? `session:${sessionId}` : 'project');
+  document.getElementById('mapModal').classList.remove('hidden');
+  updateMapRecords();
+}
+
+// Close map
+function closeMap() {
+  document.getElementById('mapModal').classList.add('hidden');
+}
+
+// Reload records for the selected scope and fit them
+function updateMapRecords() {
+  mapView.records = getMapRecords();
+  mapView.track = getMapTrack();
+  mapView.sites = getMapSites();
+  const count = mapView.records.length;
+  const walked = mapView.track.length ? ` • ${formatDistance(measureTrack(mapView.track))} track` : '';
+  document.getElementById('mapSummary').textContent = `${count} capture${count === 1 ? '' : 's'} with location${walked}`;
+  fitMapToBounds();
+}
+
+// Zoom and center so all markers are visible
+function fitMapToBounds() {
+  const container = document.getElementById('mapContainer');
+  const records = [...mapView.records, ...mapView.track];
+
+  if (records.length === 0) {
+    const here = state.position?.coords;
+    mapView.center = here ? { lat: here.latitude, lng: here.longitude } : { lat: 0, lng: 0 };
+    mapView.zoom = here ? 15 : MAP_MIN_ZOOM;
+    renderMap();
+    return;
+  }
+
+  const lats = records.map(log => log.latitude);
+  const lngs = records.map(log => log.longitude);
+  const south = Math.min(...lats);
+  const north = Math.max(...lats);
+  const west = Math.min(...lngs);
+  const east = Math.max(...lngs);
+  const padding = 48;
+  const width = Math.max(container.clientWidth - padding * 2, 1);
+  const height = Math.max(container.clientHeight - padding * 2, 1);
+
+  let zoom = records.length === 1 ? 17 : MAP_MAX_ZOOM;
+  while (zoom > MAP_MIN_ZOOM) {
+    const sw = projectMercator(south, west, zoom);
+    const ne = projectMercator(north, east, zoom);
+    if (ne.x - sw.x <= width && sw.y - ne.y <= height) break;
+    zoom--;
+  }
+
+  const sw = projectMercator(south, west, zoom);
+  const ne = projectMercator(north, east, zoom);
+  mapView.zoom = zoom;
+  mapView.center = unprojectMercator((sw.x + ne.x) / 2, (sw.y + ne.y) / 2, zoom);
+  renderMap();
+}
+
+// Zoom in or out around the center
+function zoomMap(delta) {
+  mapView.zoom = Math.min(MAP_MAX_ZOOM, Math.max(MAP_MIN_ZOOM, mapView.zoom + delta));
+  renderMap();
+}
+
+// Pick a round grid step (degrees) for the coordinate plot
+function getGraticuleStep(span) {
+  const steps = [0.0001, 0.0002, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 45];
+  return steps.find(step => span / step <= 6) || 90;
+}
+
+// Render tiles, coordinate grid, accuracy circles and markers
+function renderMap() {
+  const container = document.getElementById('mapContainer');
+  const width = container.clientWidth;
+  const height = container.clientHeight;
+  const { zoom } = mapView;
+  const center = projectMercator(mapView.center.lat, mapView.center.lng, zoom);
+  const left = center.x - width / 2;
+  const top = center.y - height / 2;
+  const tileCount = 2 ** zoom;
+  let html = '';
+
+  // Coordinate grid underneath (visible offline or until tiles load)
+  const topLeft = unprojectMercator(left, top, zoom);
+  const bottomRight = unprojectMercator(left + width, top + height, zoom);
+  const step = getGraticuleStep(Math.max(bottomRight.lng - topLeft.lng, topLeft.lat - bottomRight.lat));
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  for (let lng = Math.ceil(topLeft.lng / step) * step; lng <= bottomRight.lng; lng += step) {
+    const x = projectMercator(0, lng, zoom).x - left;
+    html += `<div class="absolute top-0 bottom-0 border-l border-slate-700/60" style="left:${x}px"><span class="absolute bottom-1 left-1 text-[9px] font-mono text-slate-500">${lng.toFixed(decimals)}°</span></div>`;
+  }
+  for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+    const y = projectMercator(lat, 0, zoom).y - top;
+    html += `<div class="absolute left-0 right-0 border-t border-slate-700/60" style="top:${y}px"><span class="absolute top-0.5 left-1 text-[9px] font-mono text-slate-500">${lat.toFixed(decimals)}°</span></div>`;
+  }
+
+  // Map tiles (offline the service worker serves tiles seen before); failed tiles stay hidden so the grid shows through
+  for (let tx = Math.floor(left / MAP_TILE_SIZE); tx <= Math.floor((left + width) / MAP_TILE_SIZE); tx++) {
+    for (let ty = Math.max(0, Math.floor(top / MAP_TILE_SIZE)); ty <= Math.min(tileCount - 1, Math.floor((top + height) / MAP_TILE_SIZE)); ty++) {
+      const x = ((tx % tileCount) + tileCount) % tileCount;
+      const src = MAP_TILE_URL.replace('{z}', zoom).replace('{x}', x).replace('{y}', ty);
+      html += `<img src="${src}" alt="" crossorigin="anonymous" draggable="false" class="absolute" style="left:${tx * MAP_TILE_SIZE - left}px;top:${ty * MAP_TILE_SIZE - top}px;width:${MAP_TILE_SIZE}px;height:${MAP_TILE_SIZE}px" onerror="this.style.display='none'">`;
+    }
+  }
+
+  // Site outlines
+  if (mapView.sites.length) {
+    const toScreen = ([lng, lat]) => {
+      const { x, y } = projectMercator(lat, lng, zoom);
+      return `${(x - left).toFixed(1)},${(y - top).toFixed(1)}`;
+    };
+    html += `<svg class="absolute inset-0 pointer-events-none" width="${width}" height="${height}">${mapView.sites.map(site => {
+      const style = 'fill="#f59e0b" fill-opacity="0.12" stroke="#f59e0b" stroke-width="2" stroke-dasharray="6 4"';
+      if (site.shape !== 'circle') return `<polygon points="${site.coordinates.map(toScreen).join(' ')}" ${style}/>`;
+      const [cx, cy] = toScreen(site.center).split(',');
+      return `<circle cx="${cx}" cy="${cy}" r="${(site.radiusM / metersPerPixel(site.center[1], zoom)).toFixed(1)}" ${style}/>`;
+    }).join('')}</svg>`;
+  }
+
+  // Breadcrumb track, one line per session
+  if (mapView.track.length) {
+    const lines = new Map();
+    mapView.track.forEach(point => {
+      const { x, y } = projectMercator(point.latitude, point.longitude, zoom);
+      lines.set(point.sessionId, `${lines.get(point.sessionId) || ''}${(x - left).toFixed(1)},${(y - top).toFixed(1)} `);
+    });
+    html += `<svg class="absolute inset-0 pointer-events-none" width="${width}" height="${height}">${[...lines.values()]
+      .map(coords => `<polyline points="${coords.trim()}" fill="none" stroke="#38bdf8" stroke-width="3" stroke-linejoin="round" stroke-linecap="round" stroke-opacity="0.85"/>`)
+      .join('')}</svg>`;
+  }
+
+  // Accuracy circles, then markers on top
+  const points = mapView.records.map(log => {
+    const { x, y } = projectMercator(log.latitude, log.longitude, zoom);
+    return { log, x: x - left, y: y - top };
+  });
+  points.forEach(({ log, x, y }) => {
+    const radius = log.accuracy ? log.accuracy / metersPerPixel(log.latitude, zoom) : 0;
+    if (radius >= 4) {
+      html += `<div class="absolute rounded-full bg-emerald-500/15 border border-emerald-400/50 pointer-events-none" style="left:${x - radius}px;top:${y - radius}px;width:${radius * 2}px;height:${radius * 2}px"></div>`;
+    }
+  });
+  points.forEach(({ log, x, y }) => {
+    const photo = state.photos.find(p => p.id === log.id);
+    const title = escapeXml(`${log.id} • ${new Date(log.timestamp).toLocaleString()}`);
+    html += photo
+      ? `<button onclick="previewPhoto('${log.id}')" title="${title}" class="absolute w-10 h-10 -ml-5 -mt-5 rounded-full overflow-hidden border-2 border-white shadow-lg shadow-black/50" style="left:${x}px;top:${y}px"><img src="${getPhotoUrl(photo)}" alt="" draggable="false" class="w-full h-full object-cover"></button>`
+      : `<button onclick="showToast('Photo not stored on this device', 'error')" title="${title}" class="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-emerald-500 border-2 border-white shadow-lg shadow-black/50" style="left:${x}px;top:${y}px"></button>`;
+  });
+
+  const layers = document.getElementById('mapLayers');
+  layers.style.transform = '';
+  layers.innerHTML = html;
+  document.getElementById('mapOffline').classList.toggle('hidden', navigator.onLine);
+}
+
+// Start dragging the map
+function startMapDrag(event) {
+  if (event.target.closest('button')) return;
+  mapView.drag = { x: event.clientX, y: event.clientY, dx: 0, dy: 0 };
+  event.currentTarget.setPointerCapture(event.pointerId);
+}
+
+// Move the map while dragging
+function moveMapDrag(event) {
+  if (!mapView.drag) return;
+  mapView.drag.dx = event.clientX - mapView.drag.x;
+  mapView.drag.dy = event.clientY - mapView.drag.y;
+  document.getElementById('mapLayers').style.transform = `translate(${mapView.drag.dx}px, ${mapView.drag.dy}px)`;
+}
+
+// Finish dragging and re-center
+function endMapDrag() {
+  if (!mapView.drag) return;
+  const { dx, dy } = mapView.drag;
+  mapView.drag = null;
+  if (!dx && !dy) return;
+  const center = projectMercator(mapView.center.lat, mapView.center.lng, mapView.zoom);
+  mapView.center = unprojectMercator(center.x - dx, center.y - dy, mapView.zoom);
+  renderMap();
+}
+
+// Register the service worker and watch for new versions
+async function initServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // Only reload for an accepted update, not when the first worker takes control
+    if (updateAccepted) location.reload();
+  });
+
+  try {
+    const registration = await navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' });
+    if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+
+    // Look for a new version whenever the app comes back to the foreground
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+  }
+}
+
+// Show the update prompt for a waiting worker
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  document.getElementById('updateBanner').classList.remove('hidden');
+}
+
+// Hide the update prompt until the next launch
+function dismissUpdate() {
+  document.getElementById('updateBanner').classList.add('hidden');
+}
+
+// Activate the waiting worker and reload into the new version
+function applyUpdate() {
+  if (!waitingWorker) return;
+  if (state.sequence || state.recording) {
+    showToast('Finish the current capture before updating', 'error');
+    return;
+  }
+  updateAccepted = true;
+  dismissUpdate();
+  waitingWorker.postMessage({ type: 'skip-waiting' });
 }
 
 // Show settings
 function showSettings() {
   document.getElementById('settingsModal').classList.remove('hidden');
+  updateStorageInfo();
+  updateDeviceKeyInfo();
 }
 
 // Close settings
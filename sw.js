@@ -1,37 +1,205 @@
 // TraceCam Service Worker
-const CACHE_NAME = 'tracecam-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/app.js',
-  '/manifest.json'
+// Bump CACHE_VERSION on every release: the new worker precaches the app shell,
+// waits until the user accepts the update prompt, then drops the old precache.
+const CACHE_VERSION = 'v6';
+const PRECACHE = `tracecam-precache-${CACHE_VERSION}`;
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'app.js',
+  'styles.css',
+  'manifest.json',
+  'icons/icon.svg'
 ];
 
-// Install
+// Runtime caches (kept across versions) and their size limits
+const RUNTIME_CACHES = {
+  geocode: { name: 'tracecam-geocode', maxEntries: 500 },
+  tiles: { name: 'tracecam-tiles', maxEntries: 1000 },
+  fonts: { name: 'tracecam-fonts', maxEntries: 30 }
+};
+
+// Install: precache the app shell, bypassing the HTTP cache
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => cache.addAll(urlsToCache))
+    caches.open(PRECACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))))
   );
 });
 
-// Fetch
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => response || fetch(event.request))
-  );
-});
-
-// Activate
+// Activate: drop old precaches, keep runtime caches
 self.addEventListener('activate', (event) => {
+  const keep = [PRECACHE, ...Object.values(RUNTIME_CACHES).map((cache) => cache.name)];
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
+    caches.keys()
+      .then((cacheNames) => Promise.all(
         cacheNames
-          .filter((cacheName) => cacheName !== CACHE_NAME)
+          .filter((cacheName) => !keep.includes(cacheName))
           .map((cacheName) => caches.delete(cacheName))
-      );
-    })
+      ))
+      .then(() => self.clients.claim())
   );
 });
+
+// The app asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+// Fetch
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, null, 'index.html'));
+  } else if (url.pathname.endsWith('/reverse')) {
+    event.respondWith(networkFirst(request, RUNTIME_CACHES.geocode));
+  } else if (/\/\d+\/\d+\/\d+\.png$/.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHES.tiles));
+  } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(cacheFirst(request, RUNTIME_CACHES.fonts));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(caches.match(request).then((response) => response || fetch(request)));
+  }
+});
+
+// Network first; fall back to the cached copy (or the given precached fallback) offline
+async function networkFirst(request, cache, fallback = null) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && cache) await putInCache(cache, request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request) || (fallback && await caches.match(fallback));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Cache first; fetch and store on a miss (CORS responses only: opaque ones bloat the quota)
+async function cacheFirst(request, cache) {
+  const cached = await caches.match(request, { cacheName: cache.name });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await putInCache(cache, request, response.clone());
+  return response;
+}
+
+// Store a response in a runtime cache, evicting the oldest entries over its limit
+async function putInCache({ name, maxEntries }, request, response) {
+  try {
+    const cache = await caches.open(name);
+    await cache.put(request, response);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+  } catch (error) {
+    console.warn('Runtime cache write failed:', error);
+  }
+}
+
+// Background Sync: upload queued captures while the app is closed
+// (same multipart layout and queue fields as the upload queue in app.js)
+const UPLOAD_SYNC_TAG = 'tracecam-upload';
+const UPLOAD_BACKOFF_BASE = 30;
+const UPLOAD_BACKOFF_MAX = 3600;
+const UPLOAD_MAX_ATTEMPTS = 10;
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === UPLOAD_SYNC_TAG) {
+    event.waitUntil(syncUploads());
+  }
+});
+
+// Run an IndexedDB request in its own transaction
+function idbRequest(db, storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Open the app's database at its current version
+function openAppDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('tracecam');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Seconds to wait before the next attempt
+function getUploadBackoff(attempts) {
+  return Math.min(UPLOAD_BACKOFF_MAX, UPLOAD_BACKOFF_BASE * 2 ** Math.max(0, attempts - 1));
+}
+
+// Build the multipart body for a capture
+function buildUploadForm(photo, log) {
+  const { imageBlob, posterBlob, ...metadata } = photo;
+  const extension = photo.mediaType !== 'video' ? 'jpg' : (photo.mimeType.startsWith('video/mp4') ? 'mp4' : 'webm');
+  const form = new FormData();
+  form.append('id', photo.id);
+  form.append('imageHash', photo.imageHash || '');
+  form.append('metadata', new Blob([JSON.stringify({ photo: metadata, log: log || null })], { type: 'application/json' }), `${photo.id}.json`);
+  form.append('file', imageBlob, `${photo.id}.${extension}`);
+  if (posterBlob) form.append('poster', posterBlob, `${photo.id}-poster.jpg`);
+  return form;
+}
+
+// Upload due queue entries; an error makes the browser retry the sync later
+async function syncUploads() {
+  // An open app (even a hidden tab) runs the queue itself
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length > 0) {
+    windows.forEach((client) => client.postMessage({ type: 'upload-sync' }));
+    return;
+  }
+
+  const db = await openAppDatabase();
+  if (!db.objectStoreNames.contains('uploads')) return;
+  const config = await idbRequest(db, 'keys', 'readonly', (store) => store.get('upload-target'));
+  if (!config || !config.enabled || !config.url) return;
+
+  const entries = await idbRequest(db, 'uploads', 'readonly', (store) => store.getAll());
+  const open = entries.filter((e) => e.status !== 'uploaded' && e.attempts < UPLOAD_MAX_ATTEMPTS);
+  const now = new Date().toISOString();
+  const due = open.filter((e) => e.nextAttemptAt <= now);
+  let failed = 0;
+  for (const entry of due) {
+    const photo = await idbRequest(db, 'photos', 'readonly', (store) => store.get(entry.id));
+    if (!photo) continue;
+    const log = await idbRequest(db, 'logs', 'readonly', (store) => store.get(entry.id));
+
+    try {
+      const response = await fetch(config.url, {
+        method: 'POST',
+        headers: {
+          ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+          'Idempotency-Key': photo.id
+        },
+        body: buildUploadForm(photo, log)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      Object.assign(entry, { status: 'uploaded', uploadedAt: new Date().toISOString(), lastError: null });
+    } catch (error) {
+      failed++;
+      const attempts = entry.attempts + 1;
+      Object.assign(entry, {
+        status: 'failed',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + getUploadBackoff(attempts) * 1000).toISOString()
+      });
+    }
+    await idbRequest(db, 'uploads', 'readwrite', (store) => store.put(entry));
+  }
+
+  // Entries that failed or are not due yet need another sync
+  const waiting = open.length - due.length;
+  if (failed + waiting > 0) throw new Error(`${failed} uploads failed, ${waiting} waiting for backoff`);
+}
@@ -0,0 +1,13 @@
+// Tailwind build for the precached stylesheet (styles.css)
+// Regenerate after changing classes: npx tailwindcss@3 -c tailwind.config.js -o styles.css --minify
+module.exports = {
+  content: ['./index.html', './app.js'],
+  theme: {
+    extend: {
+      fontFamily: {
+        sans: ['Inter', 'sans-serif'],
+        mono: ['JetBrains Mono', 'monospace'],
+      }
+    }
+  }
+};
@@ -0,0 +1,85 @@
+// TraceCam mock upload server - a local sync target for testing uploads
+// Usage: node tools/mock-upload-server.js
+//   PORT=8787         port to listen on
+//   TOKEN=secret      require "Authorization: Bearer secret"
+//   FAIL_RATE=0.3     answer this share of uploads with 503 to exercise retries
+//   OUT_DIR=./mock-uploads  where received parts are written
+// Then set the endpoint in Settings to http://localhost:8787/upload
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const TOKEN = process.env.TOKEN || '';
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE) || 0;
+const OUT_DIR = path.resolve(process.env.OUT_DIR || 'mock-uploads');
+const received = new Set();
+
+// Split a multipart/form-data body into { name, filename, data } parts
+function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const from = start + delimiter.length;
+    const end = body.indexOf(delimiter, from);
+    if (end === -1) break;
+    const part = body.subarray(from + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString();
+      parts.push({
+        name: /name="([^"]*)"/.exec(headers)?.[1],
+        filename: /filename="([^"]*)"/.exec(headers)?.[1],
+        data: part.subarray(headerEnd + 4)
+      });
+    }
+    start = end;
+  }
+  return parts;
+}
+
+// Send a JSON response with CORS headers
+function reply(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Idempotency-Key, Content-Type'
+  });
+  res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return reply(res, 204, {});
+  if (req.method !== 'POST') return reply(res, 405, { error: 'POST only' });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return reply(res, 401, { error: 'Bad token' });
+  if (Math.random() < FAIL_RATE) return reply(res, 503, { error: 'Simulated failure' });
+
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers['content-type'] || '');
+  if (!boundary) return reply(res, 400, { error: 'Expected multipart/form-data' });
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const parts = parseMultipart(Buffer.concat(chunks), boundary[1] || boundary[2]);
+    const id = parts.find(part => part.name === 'id')?.data.toString();
+    if (!id || !/^[\w-]+$/.test(id)) return reply(res, 400, { error: 'Missing capture id' });
+
+    const duplicate = received.has(id);
+    const dir = path.join(OUT_DIR, id);
+    fs.mkdirSync(dir, { recursive: true });
+    parts.filter(part => part.filename).forEach(part => {
+      fs.writeFileSync(path.join(dir, path.basename(part.filename)), part.data);
+    });
+    received.add(id);
+
+    const files = parts.filter(part => part.filename).map(part => `${part.filename} (${part.data.length} B)`);
+    console.log(`${new Date().toISOString()} ${duplicate ? 'again' : 'got'} ${id}: ${files.join(', ')}`);
+    reply(res, 200, { id, duplicate });
+  });
+}).listen(PORT, () => {
+  console.log(`Mock upload server on http://localhost:${PORT}/upload, writing to ${OUT_DIR}`);
+});